@@ -2,6 +2,18 @@ const { defineConfig } = require('cypress');
 const fs = require('fs');
 const path = require('path');
 const allureWriter = require('@shelex/cypress-allure-plugin/writer');
+const locatorFallbacks = require('./cypress/plugins/locatorFallbacks');
+const locatorWatcher = require('./cypress/plugins/locatorWatcher');
+const locatorCoverage = require('./cypress/plugins/locatorCoverage');
+const schemaValidator = require('./cypress/plugins/schemaValidator');
+const openApiContract = require('./cypress/plugins/openApiContract');
+const apiAuth = require('./cypress/plugins/apiAuth');
+const harRecorder = require('./cypress/plugins/harRecorder');
+const apiSnapshots = require('./cypress/plugins/apiSnapshots');
+const connectionProbe = require('./cypress/plugins/connectionProbe');
+const dataTables = require('./cypress/plugins/dataTables');
+const mockServer = require('./cypress/plugins/mockServer');
+const networkRecorder = require('./cypress/plugins/networkRecorder');
 
 // Load environment-specific config
 function loadEnvConfig(configFile) {
@@ -12,6 +24,13 @@ function loadEnvConfig(configFile) {
   return {};
 }
 
+// Env values set on the command line (--env) or through CYPRESS_* variables
+function getExplicitEnv(config) {
+  const resolved = (config.resolved && config.resolved.env) || {};
+  return Object.fromEntries(Object.entries(config.env)
+    .filter(([key]) => resolved[key] && ['cli', 'env'].includes(resolved[key].from)));
+}
+
 module.exports = defineConfig({
   // Project settings
   projectId: process.env.CYPRESS_PROJECT_ID || '',
@@ -58,21 +77,66 @@ module.exports = defineConfig({
     allure: true,
     allureResultsPath: 'allure-results',
     grepFilterSpecs: true,
-    grepOmitFiltered: true
+    grepOmitFiltered: true,
+    // OpenAPI document every cy.apiRequest is checked against (empty to disable)
+    openApiSpec: 'cypress/openapi/jsonplaceholder.yaml',
+    // HAR capture of API traffic; extra header/field names to redact
+    har: true,
+    harRedact: [],
+    // UI network routes: live, record or replay (cypress/fixtures/network)
+    networkMode: 'live',
+    // Named routes for fault injection, e.g. cy.simulateServerError('login', 500)
+    networkRoutes: {
+      login: 'POST **/api/auth/login',
+      featuredItems: 'GET **/api/featured*',
+      notifications: 'GET **/api/notifications*',
+      search: 'GET **/api/search*'
+    }
   },
   
   e2e: {
-    setupNodeEvents(on, config) {
+    async setupNodeEvents(on, config) {
       // Load environment-specific configuration
       const configFile = config.env.configFile || 'qa';
       const envConfig = loadEnvConfig(configFile);
-      config = { ...config, ...envConfig };
+      // Merge env separately: the file overrides the defaults below, CLI --env and CYPRESS_* values override both
+      config = {
+        ...config,
+        ...envConfig,
+        env: { ...config.env, ...envConfig.env, ...getExplicitEnv(config), configFile }
+      };
+      
+      // API and OAuth2 client secrets stay in the Node process (not in Cypress.env)
+      apiAuth.keepSecrets(config);
+      
+      // Local mock API for offline runs (cypress/config/mock.json)
+      if (config.env.mockServer) {
+        const mockOptions = typeof config.env.mockServer === 'object' ? config.env.mockServer : {};
+        config.env.apiBaseUrl = await mockServer.start(mockOptions);
+      }
       
       // Allure reporter setup
       allureWriter(on, config);
       
-      // Register grep plugin
+      // HAR capture of API traffic (extra names to redact from env harRedact)
+      harRecorder.configure({ redact: config.env.harRedact });
+      
+      // Data tables for dataDriven() specs (tests are declared before cy.fixture could run)
+      config.env.dataTables = dataTables.loadTables();
+      
+      // Seed for the data factories; rerun with --env dataSeed=<seed> to rebuild the same data
+      config.env.dataSeed = Number(config.env.dataSeed) || Math.floor(Math.random() * 2 ** 31) + 1;
+      console.log(`Test data seed: ${config.env.dataSeed}`);
+      
+      // Register grep plugin; specs it pre-filters out that declare dataDriven() rows are kept
+      const specPattern = config.specPattern;
       require('@cypress/grep/src/plugin')(config);
+      dataTables.keepDataDrivenSpecs(config, specPattern);
+      
+      // Live reload of YAML locators in interactive mode
+      if (config.isInteractive) {
+        locatorWatcher.watch();
+      }
       
       // Task for reading YAML files
       on('task', {
@@ -86,6 +150,78 @@ module.exports = defineConfig({
           throw new Error(`YAML file not found: ${absolutePath}`);
         },
         
+        getLocatorCacheVersions() {
+          return locatorWatcher.getVersions();
+        },
+        
+        recordLocatorFallback(entry) {
+          return locatorFallbacks.recordFallback(entry);
+        },
+        
+        recordLocatorUsage(hits) {
+          return locatorCoverage.recordUsage(hits);
+        },
+        
+        validateJsonSchema(options) {
+          return schemaValidator.validate(options);
+        },
+        
+        validateApiContract(exchange) {
+          return openApiContract.validateExchange(exchange);
+        },
+        
+        matchApiSnapshot(options) {
+          return apiSnapshots.matchSnapshot(options);
+        },
+        
+        getCachedAuthToken(key) {
+          return apiAuth.getToken(key);
+        },
+        
+        cacheAuthToken(options) {
+          return apiAuth.setToken(options);
+        },
+        
+        clearAuthToken(key) {
+          return apiAuth.clearToken(key);
+        },
+        
+        probeConnection(options) {
+          return connectionProbe.probe(options);
+        },
+        
+        signApiRequest(request) {
+          return apiAuth.sign(request);
+        },
+        
+        requestOAuthToken(options) {
+          return apiAuth.requestOAuthToken(options);
+        },
+        
+        saveNetworkRecordings(entries) {
+          return networkRecorder.saveRecordings(entries);
+        },
+        
+        loadNetworkRecordings(page) {
+          return networkRecorder.loadRecordings(page);
+        },
+        
+        mockReset(seed) {
+          return mockServer.reset(seed);
+        },
+        
+        recordHarEntry(options) {
+          return harRecorder.recordExchange(options);
+        },
+        
+        getTestHar(options) {
+          return harRecorder.getTestHar(options);
+        },
+        
+        writeSpecHar(spec) {
+          return harRecorder.writeSpecHar(spec);
+        },
+        
         log(message) {
           console.log(message);
           return null;
@@ -102,6 +238,13 @@ module.exports = defineConfig({
         }
       });
       
+      // Run-level reports
+      on('after:run', () => {
+        locatorFallbacks.writeReport();
+        locatorCoverage.writeReport();
+        openApiContract.writeReport();
+      });
+      
       // Screenshot on failure with custom naming
       on('after:screenshot', (details) => {
         console.log('Screenshot taken:', details.path);
@@ -0,0 +1,142 @@
+/**
+ * API Auth Tests
+ *
+ * Test suite for the auth strategies of cy.authenticatedRequest.
+ * Runs against the mock API (cypress/config/mock.json), which issues and
+ * checks tokens and sets test credentials; skipped with other configs.
+ */
+
+import { applyAuth } from '../../support/utils/authStrategies';
+
+describe('API Auth Tests', { tags: ['@api', '@auth'] }, () => {
+
+  /**
+   * Ask the mock API how a request authenticated
+   * @param {Object|string} authConfig - Auth config or strategy name
+   * @returns {Cypress.Chainable} - Response of GET /auth/me
+   */
+  const whoAmI = (authConfig) => {
+    return cy.authenticatedRequest({ method: 'GET', url: '/auth/me', contract: false }, authConfig);
+  };
+
+  beforeEach(function () {
+    if (!Cypress.env('mockServer')) {
+      this.skip();
+    }
+  });
+
+  it('should keep API secrets out of the browser', { tags: '@smoke' }, () => {
+    expect(Cypress.env('API_SECRET')).to.be.undefined;
+    expect(Cypress.env('OAUTH_CLIENT_SECRET')).to.be.undefined;
+  });
+
+  describe('Bearer tokens', () => {
+    it('should reuse the cached token', { tags: '@regression' }, () => {
+      whoAmI('bearer').then((first) => {
+        expect(first.status).to.eq(200);
+        expect(first.body).to.have.property('scheme', 'bearer');
+
+        whoAmI('bearer').its('body.token').should('eq', first.body.token);
+      });
+    });
+
+    it('should log in again when the cached token is about to expire', { tags: '@regression' }, () => {
+      whoAmI('bearer').then((first) => {
+        // Mock tokens live 3600s, so this skew treats the cached one as expired
+        whoAmI({ strategy: 'bearer', expirySkew: 3600 }).then((refreshed) => {
+          expect(refreshed.status).to.eq(200);
+          expect(refreshed.body.token).not.to.eq(first.body.token);
+
+          // The new token replaced the old one in the cache
+          whoAmI('bearer').its('body.token').should('eq', refreshed.body.token);
+        });
+      });
+    });
+
+    it('should drop the rejected token and replay the request once on 401', { tags: '@regression' }, () => {
+      whoAmI('bearer').then((first) => {
+        cy.request('POST', `${Cypress.env('apiBaseUrl')}/auth/revoke`);
+
+        whoAmI('bearer').then((replayed) => {
+          expect(replayed.status).to.eq(200);
+          expect(replayed.body.token).not.to.eq(first.body.token);
+
+          // The revoked token is gone from the cache; later requests use the new one
+          whoAmI('bearer').then((next) => {
+            expect(next.status).to.eq(200);
+            expect(next.body.token).to.eq(replayed.body.token);
+          });
+        });
+      });
+    });
+  });
+
+  describe('OAuth2 client credentials', () => {
+    const oauth2 = { strategy: 'oauth2', tokenUrl: '/auth/token', clientId: 'mock-client' };
+
+    it('should get a token with the client secret held by Node and cache it', { tags: '@regression' }, () => {
+      whoAmI(oauth2).then((first) => {
+        expect(first.status).to.eq(200);
+        expect(first.body).to.have.property('scheme', 'bearer');
+
+        whoAmI(oauth2).its('body.token').should('eq', first.body.token);
+      });
+    });
+
+    it('should request a new token after a 401', { tags: '@regression' }, () => {
+      whoAmI(oauth2).then((first) => {
+        cy.request('POST', `${Cypress.env('apiBaseUrl')}/auth/revoke`);
+
+        whoAmI(oauth2).then((replayed) => {
+          expect(replayed.status).to.eq(200);
+          expect(replayed.body.token).not.to.eq(first.body.token);
+        });
+      });
+    });
+  });
+
+  describe('API keys and basic auth', () => {
+    it('should send the API key in a header by default', { tags: '@regression' }, () => {
+      whoAmI('apiKey').its('body').should('deep.equal', { scheme: 'apiKey', in: 'header', apiKey: Cypress.env('API_KEY') });
+    });
+
+    it('should send the API key as a query parameter', { tags: '@regression' }, () => {
+      whoAmI({ strategy: 'apiKey', in: 'query' })
+        .its('body')
+        .should('deep.equal', { scheme: 'apiKey', in: 'query', apiKey: Cypress.env('API_KEY') });
+    });
+
+    it('should send basic credentials', { tags: '@regression' }, () => {
+      whoAmI('basic').then((response) => {
+        expect(response.status).to.eq(200);
+        expect(response.body).to.deep.equal({ scheme: 'basic', username: Cypress.env('username') });
+      });
+    });
+  });
+
+  describe('HMAC signing', () => {
+    it('should sign a relative URL as the apiBaseUrl URL it is sent to', { tags: '@regression' }, () => {
+      const absoluteUrl = `${Cypress.env('apiBaseUrl').replace(/\/+$/, '')}/users`;
+
+      applyAuth({ method: 'GET', url: '/users', qs: { id: 1 } }, { strategy: 'hmac' }).then((options) => {
+        expect(options.url).to.eq(absoluteUrl);
+
+        cy.task('signApiRequest', {
+          method: 'GET',
+          url: absoluteUrl,
+          qs: { id: 1 },
+          timestamp: options.headers['X-Timestamp']
+        }).its('signature').should('eq', options.headers['X-Signature']);
+      });
+    });
+
+    it('should resolve a relative URL against the given base URL', { tags: '@regression' }, () => {
+      const request = { method: 'POST', body: { title: 'Signed' }, timestamp: '1700000000' };
+
+      cy.task('signApiRequest', { ...request, url: 'https://api.example.com/v1/posts' }).then((absolute) => {
+        cy.task('signApiRequest', { ...request, url: '/posts', baseUrl: 'https://api.example.com/v1/' })
+          .should('deep.equal', absolute);
+      });
+    });
+  });
+});
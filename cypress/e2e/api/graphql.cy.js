@@ -0,0 +1,56 @@
+/**
+ * GraphQL API Tests
+ * 
+ * Test suite for a GraphQL endpoint (GraphQLZero, JSONPlaceholder data).
+ * Queries live in cypress/fixtures/graphql.
+ */
+
+describe('GraphQL API Tests', { tags: ['@api', '@graphql'] }, () => {
+  
+  const url = Cypress.env('graphqlUrl') || 'https://graphqlzero.almansi.me/api';
+
+  describe('Queries', () => {
+    it('should get a user from a query file', { tags: '@smoke' }, () => {
+      cy.graphql({ url, query: 'user.graphql', variables: { id: 1 } }).then((response) => {
+        expect(response.body.data.user).to.include({ id: '1', username: 'Bret' });
+        expect(response.body.data.user.address).to.have.property('city');
+      });
+    });
+
+    it('should pick an operation from a multi-operation file', { tags: '@regression' }, () => {
+      cy.graphqlData({ url, query: 'posts.graphql', operationName: 'ListPosts', variables: { page: 1, limit: 5 } }, 'posts')
+        .then((posts) => {
+          expect(posts.data).to.have.length(5);
+          expect(posts.meta.totalCount).to.eq(100);
+        });
+    });
+
+    it('should pull a nested value out of data', { tags: '@regression' }, () => {
+      cy.graphqlData({ url, query: 'posts.graphql', operationName: 'GetPost', variables: { id: 1 } }, 'post.user.id')
+        .should('eq', '1');
+    });
+
+    it('should run an inline query', { tags: '@regression' }, () => {
+      cy.graphqlData({ url, query: '{ user(id: 2) { name } }' }, 'user.name')
+        .should('be.a', 'string');
+    });
+  });
+
+  describe('Mutations', () => {
+    it('should create a post', { tags: '@regression' }, () => {
+      const input = { title: 'GraphQL Post', body: 'Created through cy.graphql' };
+      
+      cy.graphqlData({ url, query: 'createPost.graphql', variables: { input } }, 'createPost')
+        .should('include', input)
+        .and('have.property', 'id');
+    });
+  });
+
+  describe('Errors', () => {
+    it('should report errors for an unknown field', { tags: '@negative' }, () => {
+      cy.graphqlErrors({ url, query: '{ user(id: 1) { unknownField } }' }).then((errors) => {
+        expect(errors[0].message).to.include('unknownField');
+      });
+    });
+  });
+});
@@ -5,16 +5,17 @@
  * Demonstrates CRUD operations and API testing patterns.
  */
 
+import { ApiClient } from '../../support/utils/apiClient';
+import { build } from '../../support/utils/dataFactory';
+
 describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
   
-  const apiBaseUrl = Cypress.env('apiBaseUrl') || 'https://jsonplaceholder.typicode.com';
+  const api = new ApiClient({ baseUrl: Cypress.env('apiBaseUrl') || 'https://jsonplaceholder.typicode.com' });
+  const posts = api.resource('posts');
 
   describe('GET /posts', () => {
     it('should get all posts', { tags: '@smoke' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts`
-      }).then((response) => {
+      posts.list().then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.be.an('array');
         expect(response.body.length).to.be.greaterThan(0);
@@ -26,10 +27,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
     });
 
     it('should get post by ID', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts/1`
-      }).then((response) => {
+      posts.get(1).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.property('id', 1);
         expect(response.body).to.have.property('userId');
@@ -39,11 +37,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
     });
 
     it('should filter posts by userId', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts`,
-        qs: { userId: 1 }
-      }).then((response) => {
+      posts.list({ userId: 1 }).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.be.an('array');
         response.body.forEach(post => {
@@ -52,11 +46,30 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
       });
     });
 
+    it('should page through all posts', { tags: '@regression' }, () => {
+      cy.apiPaginate({
+        url: posts.url(),
+        pagination: { pageParam: '_page', limitParam: '_limit', pageSize: 25 }
+      }).then(({ items, pages, truncated }) => {
+        expect(truncated).to.be.false;
+        expect(pages.map(page => page.count)).to.deep.eq([25, 25, 25, 25, 0]);
+        expect(new Set(items.map(post => post.id)).size).to.eq(100);
+      });
+    });
+
+    it('should follow Link headers', { tags: '@regression' }, () => {
+      cy.apiPaginate({
+        url: posts.url(),
+        qs: { _page: 1 },
+        pagination: { strategy: 'link', limitParam: '_limit', pageSize: 40 }
+      }).then(({ items, pages }) => {
+        expect(pages).to.have.length(3);
+        expect(items).to.have.length(100);
+      });
+    });
+
     it('should get comments for a post', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts/1/comments`
-      }).then((response) => {
+      posts.sub(1, 'comments').list().then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.be.an('array');
         response.body.forEach(comment => {
@@ -68,17 +81,9 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
 
   describe('POST /posts', () => {
     it('should create a new post', { tags: '@smoke' }, () => {
-      const newPost = {
-        title: 'Test Post Title',
-        body: 'This is the test post body content.',
-        userId: 1
-      };
+      const newPost = build('post');
 
-      cy.apiRequest({
-        method: 'POST',
-        url: `${apiBaseUrl}/posts`,
-        body: newPost
-      }).then((response) => {
+      posts.create(newPost).then((response) => {
         expect(response.status).to.be.oneOf([200, 201]);
         expect(response.body).to.have.property('id');
         expect(response.body).to.have.property('title', newPost.title);
@@ -94,11 +99,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
         userId: 1
       };
 
-      cy.apiRequest({
-        method: 'POST',
-        url: `${apiBaseUrl}/posts`,
-        body: minimalPost
-      }).then((response) => {
+      posts.create(minimalPost).then((response) => {
         expect(response.status).to.be.oneOf([200, 201]);
         expect(response.body).to.have.property('id');
       });
@@ -114,11 +115,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
         userId: 1
       };
 
-      cy.apiRequest({
-        method: 'PUT',
-        url: `${apiBaseUrl}/posts/1`,
-        body: updatedPost
-      }).then((response) => {
+      posts.update(1, updatedPost).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.property('title', updatedPost.title);
         expect(response.body).to.have.property('body', updatedPost.body);
@@ -132,11 +129,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
         title: 'Partially Updated Title'
       };
 
-      cy.apiRequest({
-        method: 'PATCH',
-        url: `${apiBaseUrl}/posts/1`,
-        body: partialUpdate
-      }).then((response) => {
+      posts.patch(1, partialUpdate).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.property('title', partialUpdate.title);
         // Other fields should remain unchanged
@@ -148,10 +141,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
 
   describe('DELETE /posts', () => {
     it('should delete post', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'DELETE',
-        url: `${apiBaseUrl}/posts/1`
-      }).then((response) => {
+      posts.remove(1).then((response) => {
         expect(response.status).to.be.oneOf([200, 204]);
       });
     });
@@ -159,22 +149,14 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
 
   describe('Pagination', () => {
     it('should support pagination with _start and _limit', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts`,
-        qs: { _start: 0, _limit: 10 }
-      }).then((response) => {
+      posts.list({ _start: 0, _limit: 10 }).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.length.at.most(10);
       });
     });
 
     it('should return correct page of results', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts`,
-        qs: { _start: 10, _limit: 5 }
-      }).then((response) => {
+      posts.list({ _start: 10, _limit: 5 }).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.length(5);
         expect(response.body[0].id).to.eq(11);
@@ -184,10 +166,7 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
 
   describe('Response Time', () => {
     it('should respond within acceptable time', { tags: '@performance' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts`
-      }).then((response) => {
+      posts.list().then((response) => {
         expect(response.status).to.eq(200);
         expect(response.duration).to.be.lessThan(5000); // 5 seconds
       });
@@ -196,19 +175,14 @@ describe('Posts API Tests', { tags: ['@api', '@posts'] }, () => {
 
   describe('Error Scenarios', () => {
     it('should return 404 for non-existent post', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts/99999`
-      }).then((response) => {
+      posts.get(99999).then((response) => {
         expect(response.status).to.eq(404);
       });
     });
 
     it('should handle invalid post ID format', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/posts/invalid`
-      }).then((response) => {
+      // Deliberately violates the OpenAPI contract
+      posts.get('invalid', { contract: false }).then((response) => {
         expect(response.status).to.be.oneOf([400, 404]);
       });
     });
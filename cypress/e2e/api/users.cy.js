@@ -4,9 +4,14 @@
  * Test suite for Users REST API endpoints.
  */
 
+import { ApiClient } from '../../support/utils/apiClient';
+import { dataDriven } from '../../support/utils/dataDriven';
+import { build } from '../../support/utils/dataFactory';
+
 describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
   
-  const apiBaseUrl = Cypress.env('apiBaseUrl') || 'https://jsonplaceholder.typicode.com';
+  const api = new ApiClient({ baseUrl: Cypress.env('apiBaseUrl') || 'https://jsonplaceholder.typicode.com' });
+  const users = api.resource('users');
   let authToken;
 
   before(() => {
@@ -14,7 +19,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
     // This is an example - adjust based on your API
     cy.request({
       method: 'POST',
-      url: `${apiBaseUrl}/auth/login`,
+      url: api.url('auth/login'),
       body: {
         username: Cypress.env('username') || 'testuser',
         password: Cypress.env('password') || 'password123'
@@ -30,10 +35,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
 
   describe('GET /users', () => {
     it('should get all users', { tags: '@smoke' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/users`
-      }).then((response) => {
+      users.list().then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.be.an('array');
         expect(response.body.length).to.be.greaterThan(0);
@@ -41,10 +43,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
     });
 
     it('should get user by ID', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/users/1`
-      }).then((response) => {
+      users.get(1).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.property('id', 1);
         expect(response.body).to.have.property('name');
@@ -53,10 +52,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
     });
 
     it('should return 404 for non-existent user', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/users/99999`
-      }).then((response) => {
+      users.get(99999).then((response) => {
         expect(response.status).to.eq(404);
       });
     });
@@ -64,33 +60,33 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
 
   describe('POST /users', () => {
     it('should create a new user', { tags: '@smoke' }, () => {
-      const newUser = {
-        name: 'Test User',
-        username: 'testuser',
-        email: 'testuser@example.com',
-        phone: '1234567890'
-      };
+      // Unique username and email, so reruns don't collide on unique constraints
+      const newUser = build('user');
 
-      cy.apiRequest({
-        method: 'POST',
-        url: `${apiBaseUrl}/users`,
-        body: newUser
-      }).then((response) => {
+      users.create(newUser).then((response) => {
         expect(response.status).to.be.oneOf([200, 201]);
         expect(response.body).to.have.property('name', newUser.name);
         expect(response.body).to.have.property('email', newUser.email);
       });
     });
+  });
 
-    it('should validate required fields', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'POST',
-        url: `${apiBaseUrl}/users`,
-        body: {}
-      }).then((response) => {
-        // Adjust based on your API's validation response
-        expect(response.status).to.be.oneOf([200, 201, 400, 422]);
-      });
+  // One test per row of cypress/fixtures/tables/users-cases.csv;
+  // negative rows deliberately violate the OpenAPI contract
+  dataDriven('POST /users cases', 'users-cases.csv', { tags: '@regression' }, (row) => {
+    let body = row.rawBody !== undefined ? row.rawBody : (row.body || {});
+    // Factory rows start from build(); the omit column drops fields from the built body
+    if (row.factory) {
+      const omitted = String(row.omit || '').split(/[\s,|]+/).filter(Boolean).map(field => [field, undefined]);
+      body = build(row.factory, body, Object.fromEntries(omitted));
+    }
+    
+    users.create(body, {
+      headers: row.contentType ? { 'Content-Type': row.contentType } : {},
+      contract: row.contract
+    }).then((response) => {
+      // Adjust expectedStatus in the table to your API's validation responses
+      expect(response.status).to.be.oneOf(row.expectedStatus);
     });
   });
 
@@ -101,11 +97,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
         email: 'updated@example.com'
       };
 
-      cy.apiRequest({
-        method: 'PUT',
-        url: `${apiBaseUrl}/users/1`,
-        body: updatedUser
-      }).then((response) => {
+      users.update(1, updatedUser).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.property('name', updatedUser.name);
       });
@@ -118,11 +110,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
         name: 'Partially Updated Name'
       };
 
-      cy.apiRequest({
-        method: 'PATCH',
-        url: `${apiBaseUrl}/users/1`,
-        body: partialUpdate
-      }).then((response) => {
+      users.patch(1, partialUpdate).then((response) => {
         expect(response.status).to.eq(200);
         expect(response.body).to.have.property('name', partialUpdate.name);
       });
@@ -131,10 +119,7 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
 
   describe('DELETE /users', () => {
     it('should delete user', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'DELETE',
-        url: `${apiBaseUrl}/users/1`
-      }).then((response) => {
+      users.remove(1).then((response) => {
         expect(response.status).to.be.oneOf([200, 204]);
       });
     });
@@ -142,43 +127,40 @@ describe('Users API Tests', { tags: ['@api', '@users'] }, () => {
 
   describe('Response Schema Validation', () => {
     it('should validate user response schema', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/users/1`
-      }).then((response) => {
+      users.get(1).then((response) => {
         expect(response.status).to.eq(200);
         
-        // Validate schema
-        const user = response.body;
-        expect(user).to.have.property('id').that.is.a('number');
-        expect(user).to.have.property('name').that.is.a('string');
-        expect(user).to.have.property('email').that.is.a('string');
-        expect(user).to.have.property('username').that.is.a('string');
+        // Validate against cypress/schemas/user.json
+        cy.validateJsonSchema(response, 'user');
       });
     });
-  });
 
-  describe('Error Handling', () => {
-    it('should handle invalid request body', { tags: '@regression' }, () => {
-      cy.apiRequest({
-        method: 'POST',
-        url: `${apiBaseUrl}/users`,
-        body: 'invalid json',
-        headers: {
-          'Content-Type': 'text/plain'
-        }
-      }).then((response) => {
-        // API should handle gracefully
-        expect(response.status).to.be.oneOf([200, 201, 400, 415, 422]);
+    it('should match the stored user snapshot', { tags: '@regression' }, function () {
+      // Only the mock API serves fixed data; other environments have no recorded snapshot
+      if (!Cypress.env('mockServer')) {
+        this.skip();
+      }
+      
+      users.get(1).then((response) => {
+        expect(response.status).to.eq(200);
+        
+        // Compared with cypress/snapshots/mock/api/users/user-1.json
+        cy.matchApiSnapshot(response, 'user-1', { ignore: ['$.id'] });
+      });
+    });
+
+    it('should validate user list response schema', { tags: '@regression' }, () => {
+      users.list().then((response) => {
+        expect(response.status).to.eq(200);
+        cy.validateJsonSchema(response, 'users');
       });
     });
+  });
 
+  describe('Error Handling', () => {
     it('should handle missing authorization', { tags: '@regression' }, () => {
       // Test endpoint that requires auth (if applicable)
-      cy.apiRequest({
-        method: 'GET',
-        url: `${apiBaseUrl}/users/me`
-      }).then((response) => {
+      users.get('me', { contract: false }).then((response) => {
         // Adjust based on your API
         expect(response.status).to.be.oneOf([200, 401, 404]);
       });
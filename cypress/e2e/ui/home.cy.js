@@ -8,37 +8,36 @@
 import LoginPage from '../../pages/LoginPage';
 import HomePage from '../../pages/HomePage';
 
+/**
+ * Login once and restore the cached session afterwards
+ */
+function loginWithSession() {
+  const username = Cypress.env('username') || 'testuser@example.com';
+  const password = Cypress.env('password') || 'password123';
+  
+  // Use cy.session to login once and cache the session
+  cy.session('userSession', () => {
+    LoginPage.visit();
+    LoginPage.login(username, password);
+    LoginPage.waitForLoginComplete();
+  }, {
+    cacheAcrossSpecs: true
+  });
+}
+
 describe('Home Page Tests', { tags: ['@smoke', '@home'] }, () => {
   
   // Login once before all tests using session
   before(() => {
-    const username = Cypress.env('username') || 'testuser@example.com';
-    const password = Cypress.env('password') || 'password123';
-    
-    // Use cy.session to login once and cache the session
-    cy.session('userSession', () => {
-      LoginPage.visit();
-      LoginPage.login(username, password);
-      LoginPage.waitForLoginComplete();
-    }, {
-      cacheAcrossSpecs: true
-    });
+    loginWithSession();
   });
 
   beforeEach(() => {
     // Restore session and visit home page
-    const username = Cypress.env('username') || 'testuser@example.com';
-    const password = Cypress.env('password') || 'password123';
-    
-    cy.session('userSession', () => {
-      LoginPage.visit();
-      LoginPage.login(username, password);
-      LoginPage.waitForLoginComplete();
-    }, {
-      cacheAcrossSpecs: true
-    });
+    loginWithSession();
     
-    HomePage.visit();
+    // Featured items and notifications load after the page; wait for them to settle
+    HomePage.visit({ waitForNetworkIdle: true });
   });
 
   describe('Page Elements', () => {
@@ -98,3 +97,25 @@ describe('Home Page Tests', { tags: ['@smoke', '@home'] }, () => {
     });
   });
 });
+
+// Faults have to be injected before the page loads, so these tests visit the
+// page themselves instead of reusing the visit of 'Home Page Tests'
+describe('Home Page Network Failures', { tags: ['@home'] }, () => {
+
+  beforeEach(() => {
+    loginWithSession();
+  });
+
+  it('should show a toast when featured items fail to load', { tags: '@regression' }, () => {
+    // Injected after the page's routes are intercepted, so it wins over replayed recordings
+    HomePage.visit({ beforeVisit: () => cy.simulateServerError('featuredItems', 500) });
+    cy.wait('@featuredItems');
+    HomePage.isVisible('toastNotification');
+  });
+
+  it('should show an error alert when notifications time out', { tags: '@regression' }, () => {
+    HomePage.visit({ beforeVisit: () => cy.simulateTimeout('notifications') });
+    HomePage.openNotifications();
+    HomePage.isVisible('errorAlert');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Locator Fallback Tests
+ *
+ * Test suite for the fallback chain of login.loginButton, which waits up to
+ * 2000ms for its primary selector (fallbackGrace in login.yaml). Runs on a
+ * page written by the test, so no app is needed.
+ */
+
+const PRIMARY = "[data-testid='login-button']";
+const FALLBACK = "button[type='submit']";
+
+/**
+ * Replace the page with the given markup
+ * @param {string} html - Body markup
+ */
+function renderPage(html) {
+  cy.document({ log: false }).then((doc) => {
+    doc.body.innerHTML = html;
+  });
+}
+
+/**
+ * Check that a Command Log entry contains the given text
+ * @param {string} text - Expected text
+ */
+function expectLogged(text) {
+  cy.get('@log', { log: false }).then((log) => {
+    const messages = log.args.map(([entry]) => [].concat(entry && entry.message).join(' '));
+    expect(messages.some(message => message.includes(text)), `Command Log contains "${text}"`).to.be.true;
+  });
+}
+
+describe('Locator Fallback Tests', { tags: ['@regression', '@locators'] }, () => {
+  const configuredGrace = Cypress.env('locatorFallbackGrace');
+
+  beforeEach(() => {
+    cy.spy(Cypress, 'log').as('log');
+  });
+
+  afterEach(() => {
+    Cypress.env('locatorFallbackGrace', configuredGrace);
+  });
+
+  it('should use the primary selector when it matches', () => {
+    renderPage(`<button data-testid="login-button" id="primary">Login</button><button type="submit" id="fallback">Go</button>`);
+
+    cy.getByLocator('login', 'loginButton').should('have.id', 'primary');
+    expectLogged(`login.loginButton → ${PRIMARY}`);
+  });
+
+  it('should wait for a late primary instead of using a fallback that is already there', () => {
+    renderPage(`<button type="submit" id="fallback">Go</button>`);
+    cy.document({ log: false }).then((doc) => {
+      setTimeout(() => doc.body.insertAdjacentHTML('beforeend', '<button data-testid="login-button" id="primary">Login</button>'), 500);
+    });
+
+    cy.getByLocator('login', 'loginButton').should('have.id', 'primary');
+    expectLogged(`login.loginButton → ${PRIMARY}`);
+  });
+
+  it('should use the fallback once the primary is missing for the grace period', () => {
+    renderPage(`<button type="submit" id="fallback">Go</button>`);
+    let started;
+    cy.wrap(null, { log: false }).then(() => {
+      started = Date.now();
+    });
+
+    cy.getByLocator('login', 'loginButton').should('have.id', 'fallback').then(() => {
+      expect(Date.now() - started).to.be.at.least(2000);
+    });
+    expectLogged(`login.loginButton → ${FALLBACK}`);
+  });
+
+  it('should use the fallback right away without a grace period', () => {
+    Cypress.env('locatorFallbackGrace', 0);
+    renderPage(`<button type="submit" id="fallback">Go</button>`);
+    let started;
+    cy.wrap(null, { log: false }).then(() => {
+      started = Date.now();
+    });
+
+    cy.getByLocator('login', 'loginButton').should('have.id', 'fallback').then(() => {
+      expect(Date.now() - started).to.be.below(2000);
+    });
+    expectLogged(`login.loginButton → ${FALLBACK}`);
+  });
+});
@@ -75,6 +75,40 @@ describe('Login Page Tests', { tags: ['@smoke', '@login'] }, () => {
     });
   });
 
+  describe('Network Failures', () => {
+    const username = Cypress.env('username') || 'testuser@example.com';
+    const password = Cypress.env('password') || 'password123';
+
+    it('should show an error alert when the login service fails', { tags: '@regression' }, () => {
+      cy.simulateServerError('login', 503);
+      LoginPage.login(username, password);
+      cy.wait('@login');
+      LoginPage.isVisible('errorAlert');
+      cy.url().should('include', '/login');
+    });
+
+    it('should show an error alert when the connection drops', { tags: '@regression' }, () => {
+      cy.simulateNetworkError('login');
+      LoginPage.login(username, password);
+      LoginPage.isVisible('errorAlert');
+    });
+
+    it('should show a loading state while login is slow', { tags: '@regression' }, () => {
+      cy.simulateLatency('login', 2000);
+      LoginPage.login(username, password);
+      LoginPage.isVisible('loadingSpinner');
+      cy.wait('@login');
+      LoginPage.waitForLoginComplete();
+    });
+
+    it('should notify the user when offline', { tags: '@regression' }, () => {
+      cy.goOffline();
+      LoginPage.login(username, password);
+      LoginPage.isVisible('toastNotification');
+      cy.goOnline();
+    });
+  });
+
   describe('Navigation', () => {
     it('should navigate to forgot password page', { tags: '@regression' }, () => {
       LoginPage.clickForgotPassword();
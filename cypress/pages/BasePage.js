@@ -5,48 +5,92 @@
  * All page objects should extend this class.
  */
 
-import { getElement, getLocator, waitForElement } from '../support/utils/locatorHelper';
+import { getElement, getLocator, waitForElement, elementExists } from '../support/utils/locatorHelper';
+import { useNetworkRoutes } from '../support/utils/networkFixtures';
 import { logStep } from '../support/utils/errorHandler';
 
 class BasePage {
   constructor() {
     this.pageName = 'common';
     this.timeout = 10000;
+    // Wait for network idle after every visit (true or cy.waitForNetworkIdle options)
+    this.networkIdleOnVisit = false;
   }
 
   /**
    * Visit the page URL
    * @param {string} path - URL path to visit
+   * @param {Object} options - { waitForNetworkIdle: true or cy.waitForNetworkIdle options, beforeVisit }
    */
-  visit(path = '/') {
+  visit(path = '/', options = {}) {
     logStep(`Visiting: ${path}`);
+    this.prepareVisit(options);
     cy.visit(path);
+    return this.settleAfterVisit(options);
+  }
+
+  /**
+   * Set up the page's network before a visit
+   * The page's routes are intercepted first, then `options.beforeVisit` runs:
+   * intercepts it adds (e.g. cy.simulateServerError) are newer and so take
+   * precedence over the routes, in every networkMode.
+   * @param {Object} options - { beforeVisit: function called before cy.visit }
+   */
+  prepareVisit(options = {}) {
+    this.interceptRoutes();
+    if (typeof options.beforeVisit === 'function') {
+      options.beforeVisit();
+    }
+    return this;
+  }
+
+  /**
+   * Wait for network idle after a visit, when the call or the page opts in
+   * @param {Object} options - { waitForNetworkIdle } (default: this.networkIdleOnVisit)
+   */
+  settleAfterVisit(options = {}) {
+    const idle = options.waitForNetworkIdle !== undefined ? options.waitForNetworkIdle : this.networkIdleOnVisit;
+    if (idle) {
+      cy.waitForNetworkIdle(idle === true ? {} : idle);
+    }
+    return this;
+  }
+
+  /**
+   * Intercept the page's network routes (`routes` in its YAML file)
+   * Aliased in every mode; recorded or replayed depending on env networkMode.
+   */
+  interceptRoutes() {
+    useNetworkRoutes(this.pageName);
     return this;
   }
 
   /**
    * Get element using YAML locator
    * @param {string} elementKey - Key from YAML locator file
+   * @param {Object} params - Values for {placeholders} in the selector
    */
-  getElement(elementKey) {
-    return getElement(this.pageName, elementKey);
+  getElement(elementKey, params = {}) {
+    return getElement(this.pageName, elementKey, params);
   }
 
   /**
    * Get locator string from YAML
    * @param {string} elementKey - Key from YAML locator file
+   * @param {Object} params - Values for {placeholders} in the selector
    */
-  getLocator(elementKey) {
-    return getLocator(this.pageName, elementKey);
+  getLocator(elementKey, params = {}) {
+    return getLocator(this.pageName, elementKey, params);
   }
 
   /**
    * Wait for element to be visible
    * @param {string} elementKey - Key from YAML locator file
    * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} params - Values for {placeholders} in the selector
    */
-  waitForElement(elementKey, timeout = this.timeout) {
-    return waitForElement(this.pageName, elementKey, timeout);
+  waitForElement(elementKey, timeout = this.timeout, params = {}) {
+    return waitForElement(this.pageName, elementKey, timeout, params);
   }
 
   /**
@@ -87,13 +131,10 @@ class BasePage {
   /**
    * Check if element exists
    * @param {string} elementKey - Key from YAML locator file
+   * @param {Object} params - Values for {placeholders} in the selector
    */
-  exists(elementKey) {
-    return this.getLocator(elementKey).then((selector) => {
-      return cy.get('body').then(($body) => {
-        return $body.find(selector).length > 0;
-      });
-    });
+  exists(elementKey, params = {}) {
+    return elementExists(this.pageName, elementKey, params);
   }
 
   /**
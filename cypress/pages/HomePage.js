@@ -16,11 +16,13 @@ class HomePage extends BasePage {
 
   /**
    * Navigate to home page
+   * @param {Object} options - { waitForNetworkIdle: true or cy.waitForNetworkIdle options, beforeVisit }
    */
-  visit() {
+  visit(options = {}) {
     logStep('Navigating to Home page');
+    this.prepareVisit(options);
     cy.visit(this.pageUrl);
-    return this;
+    return this.settleAfterVisit(options);
   }
 
   /**
@@ -38,7 +40,7 @@ class HomePage extends BasePage {
    */
   clickLogo() {
     logStep('Clicking logo');
-    this.click('logo');
+    this.click('header.logo');
     return this;
   }
 
@@ -48,8 +50,8 @@ class HomePage extends BasePage {
    */
   search(searchTerm) {
     logStep(`Searching for: ${searchTerm}`);
-    this.type('searchInput', searchTerm);
-    this.click('searchButton');
+    this.type('header.searchInput', searchTerm);
+    this.click('header.searchButton');
     return this;
   }
 
@@ -135,6 +137,14 @@ class HomePage extends BasePage {
     return this;
   }
 
+  /**
+   * Get a featured item by its ID
+   * @param {number|string} id - Featured item ID
+   */
+  getFeaturedItem(id) {
+    return this.getElement('featuredItem', { id });
+  }
+
   /**
    * Verify hero section is displayed
    */
@@ -162,7 +172,7 @@ class HomePage extends BasePage {
    * Get copyright text
    */
   getCopyrightText() {
-    return this.getText('copyrightText');
+    return this.getText('footer.copyrightText');
   }
 }
 
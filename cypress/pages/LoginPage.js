@@ -16,11 +16,13 @@ class LoginPage extends BasePage {
 
   /**
    * Navigate to login page
+   * @param {Object} options - { waitForNetworkIdle: true or cy.waitForNetworkIdle options, beforeVisit }
    */
-  visit() {
+  visit(options = {}) {
     logStep('Navigating to Login page');
+    this.prepareVisit(options);
     cy.visit(this.pageUrl);
-    return this;
+    return this.settleAfterVisit(options);
   }
 
   /**
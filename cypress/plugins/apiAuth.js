@@ -0,0 +1,169 @@
+/**
+ * API Auth - Token cache, secrets and request signing for auth strategies
+ *
+ * Tokens fetched by the bearer and OAuth2 strategies are cached here, in
+ * the Node process, so every spec of a run reuses them until they expire.
+ * The API secret and the OAuth2 client secret are taken out of the env in
+ * setupNodeEvents (keepSecrets), so Cypress.env() never exposes them to the
+ * browser; HMAC signatures and OAuth2 token requests are made here, with
+ * the secret looked up by its env name. Username and password of the
+ * bearer and basic strategies are still read in the browser.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Env values kept out of the browser, besides the auth config's `secretEnv`
+const SECRET_ENV = ['API_SECRET', 'OAUTH_CLIENT_SECRET'];
+
+// Cached tokens: { cacheKey: { token, refreshToken, expiresAt } }
+const tokens = {};
+
+// Secrets by env name: { API_SECRET: '...' }
+const secrets = {};
+
+/**
+ * Move the secrets out of the env the browser sees
+ * Values come from the env (cypress.env.json, --env, CYPRESS_* variables or
+ * the environment config file) and are removed from it.
+ * @param {Object} config - Cypress config; its env is modified
+ * @returns {Object} - The config
+ */
+function keepSecrets(config) {
+  const auth = config.env.auth || {};
+  const names = [...SECRET_ENV, ...(auth.secretEnv ? [auth.secretEnv] : [])];
+
+  names.forEach((name) => {
+    const value = config.env[name] !== undefined ? config.env[name] : process.env[`CYPRESS_${name}`];
+    if (value !== undefined && value !== '') {
+      secrets[name] = String(value);
+    }
+    delete config.env[name];
+    if (config.resolved && config.resolved.env) {
+      delete config.resolved.env[name];
+    }
+  });
+  return config;
+}
+
+/**
+ * Look up a secret
+ * @param {string} name - Env name (e.g. API_SECRET)
+ * @returns {string|undefined} - Secret
+ */
+function getSecret(name) {
+  return secrets[name];
+}
+
+/**
+ * Get a cached token
+ * @param {string} key - Cache key
+ * @returns {Object|null} - { token, refreshToken, expiresAt } (expiresAt in ms, or null)
+ */
+function getToken(key) {
+  return tokens[key] || null;
+}
+
+/**
+ * Cache a token
+ * @param {Object} options - { key, entry }
+ * @returns {null} - Cypress tasks must return a value
+ */
+function setToken({ key, entry }) {
+  tokens[key] = entry;
+  return null;
+}
+
+/**
+ * Drop a cached token (e.g. after a 401)
+ * @param {string} key - Cache key
+ * @returns {null} - Cypress tasks must return a value
+ */
+function clearToken(key) {
+  delete tokens[key];
+  return null;
+}
+
+/**
+ * Resolve the URL a request is sent to
+ * @param {string} url - Absolute URL, or a path relative to baseUrl
+ * @param {string} baseUrl - Base of relative URLs (apiBaseUrl, else the Cypress baseUrl)
+ * @returns {URL} - Absolute URL
+ */
+function resolveRequestUrl(url, baseUrl) {
+  if (/^https?:\/\//.test(url)) {
+    return new URL(url);
+  }
+  if (!baseUrl) {
+    throw new Error(`Cannot sign the relative URL "${url}": set apiBaseUrl (or baseUrl) to resolve it`);
+  }
+  return new URL(`${baseUrl.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`);
+}
+
+/**
+ * Sign a request with HMAC
+ * The string to sign is "<timestamp>\n<METHOD>\n<path>?<sorted query>\n<sha256 of body>",
+ * where the body is the JSON text sent (empty when there is no body).
+ * @param {Object} request - { method, url, baseUrl, qs, body, algorithm, timestamp, secretEnv }
+ *   (timestamp in seconds defaults to now; pass one to reproduce a signature;
+ *   secretEnv names the secret, default API_SECRET)
+ * @returns {Object} - { timestamp, signature }
+ */
+function sign(request) {
+  const secretEnv = request.secretEnv || 'API_SECRET';
+  const secret = getSecret(secretEnv);
+  if (!secret) {
+    throw new Error(`HMAC signing needs an API secret: set CYPRESS_${secretEnv}`);
+  }
+
+  const url = resolveRequestUrl(request.url, request.baseUrl);
+  Object.entries(request.qs || {}).forEach(([name, value]) => {
+    url.searchParams.append(name, String(value));
+  });
+  url.searchParams.sort();
+
+  const { body } = request;
+  const payload = body === undefined || body === null ? '' : (typeof body === 'string' ? body : JSON.stringify(body));
+  const timestamp = String(request.timestamp || Math.floor(Date.now() / 1000));
+  const stringToSign = [
+    timestamp,
+    (request.method || 'GET').toUpperCase(),
+    `${url.pathname}${url.search}`,
+    crypto.createHash('sha256').update(payload).digest('hex')
+  ].join('\n');
+
+  return {
+    timestamp,
+    signature: crypto.createHmac(request.algorithm || 'sha256', secret).update(stringToSign).digest('hex')
+  };
+}
+
+/**
+ * Request a token with the OAuth2 client credentials grant
+ * @param {Object} options - { tokenUrl, clientId, scope, secretEnv (default OAUTH_CLIENT_SECRET, then API_SECRET) }
+ * @returns {Promise<Object>} - { status, body } of the token response
+ */
+async function requestOAuthToken({ tokenUrl, clientId, scope, secretEnv }) {
+  const clientSecret = secretEnv ? getSecret(secretEnv) : getSecret('OAUTH_CLIENT_SECRET') || getSecret('API_SECRET');
+  const form = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: clientId || '',
+    client_secret: clientSecret || '',
+    ...(scope ? { scope } : {})
+  });
+
+  const response = await axios.post(tokenUrl, form.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    validateStatus: () => true
+  });
+  return { status: response.status, body: response.data };
+}
+
+module.exports = {
+  getToken,
+  setToken,
+  clearToken,
+  keepSecrets,
+  sign,
+  requestOAuthToken
+};
@@ -0,0 +1,269 @@
+/**
+ * API Snapshots - Snapshot testing of API response bodies
+ *
+ * Bodies are normalized (keys sorted, ignored JSONPaths replaced with
+ * "[ignored]") and stored per environment, since each one serves its own
+ * data, as cypress/snapshots/<env>/<spec>/<name>.json, e.g.
+ * cypress/snapshots/mock/api/users/user-1.json for cypress/e2e/api/users.cy.js
+ * run with the mock config. The environment is the `snapshotEnv` env value,
+ * else `configFile`.
+ * A missing snapshot is written, except in CI (the CI environment variable
+ * is set), where it fails the test so a renamed test or an uncommitted
+ * snapshot can't pass unchecked; an existing one is compared and every
+ * difference reported with its JSON path. With the `updateSnapshots` env
+ * flag, snapshots are written and rewritten instead of compared, CI or not.
+ *
+ * Ignore paths support a JSONPath subset: $.a.b, $['a'], $[0], $[*], $.*
+ * and recursive descent ($..createdAt).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOTS_DIR = path.resolve(__dirname, '../snapshots');
+const IGNORED = '[ignored]';
+const MAX_DIFF_LINES = 50;
+
+/**
+ * Split a JSONPath into steps
+ * @param {string} jsonPath - e.g. "$..items[*].id"
+ * @returns {Array<Object>} - [{ recursive, key }], key '*' matching every child
+ */
+function parsePath(jsonPath) {
+  if (!jsonPath.startsWith('$')) {
+    throw new Error(`Snapshot ignore path must start with "$": ${jsonPath}`);
+  }
+
+  const steps = [];
+  const pattern = /(\.\.|\.)?(?:([A-Za-z_$][\w$-]*|\*)|\[(?:(\d+)|\*|'([^']*)'|"([^"]*)")\])/g;
+  let position = 1;
+  let match;
+  pattern.lastIndex = 1;
+  while (position < jsonPath.length && (match = pattern.exec(jsonPath)) && match.index === position) {
+    const [text, dots, name, index, single, double] = match;
+    if (name !== undefined && !dots) {
+      break;
+    }
+    const key = [name, index, single, double].find(value => value !== undefined);
+    steps.push({ recursive: dots === '..', key: key === undefined ? '*' : key });
+    position += text.length;
+  }
+
+  if (position !== jsonPath.length) {
+    throw new Error(`Unsupported snapshot ignore path: ${jsonPath}`);
+  }
+  return steps;
+}
+
+/**
+ * Children of a value as [key, value] pairs
+ * @param {*} value - Object or array
+ * @returns {Array<Array>} - Pairs (empty for primitives)
+ */
+function children(value) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => [String(index), item]);
+  }
+  return value && typeof value === 'object' ? Object.entries(value) : [];
+}
+
+/**
+ * A value and all values below it
+ * @param {Object} node - { value, keys }
+ * @returns {Array<Object>} - Nodes
+ */
+function descendantsAndSelf(node) {
+  return [node, ...children(node.value).flatMap(([key, value]) => descendantsAndSelf({ value, keys: [...node.keys, key] }))];
+}
+
+/**
+ * Key paths matched by a JSONPath
+ * @param {*} data - Document
+ * @param {string} jsonPath - JSONPath
+ * @returns {Array<Array<string>>} - Matched key paths
+ */
+function findPaths(data, jsonPath) {
+  const nodes = parsePath(jsonPath).reduce((current, step) => {
+    const scopes = step.recursive ? current.flatMap(descendantsAndSelf) : current;
+    return scopes.flatMap(node => children(node.value)
+      .filter(([key]) => step.key === '*' || key === step.key)
+      .map(([key, value]) => ({ value, keys: [...node.keys, key] })));
+  }, [{ value: data, keys: [] }]);
+  return nodes.map(node => node.keys);
+}
+
+/**
+ * Copy a value with object keys sorted
+ * @param {*} value - Value
+ * @returns {*} - Sorted copy
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+  }
+  return value;
+}
+
+/**
+ * Normalize a body for storing and comparing
+ * @param {*} body - Response body
+ * @param {Array<string>} ignore - JSONPaths whose values are replaced with "[ignored]"
+ * @returns {*} - Normalized copy
+ */
+function normalize(body, ignore = []) {
+  const normalized = sortKeys(body === undefined ? null : body);
+  ignore.forEach((jsonPath) => {
+    findPaths(normalized, jsonPath).forEach((keys) => {
+      const parent = keys.slice(0, -1).reduce((value, key) => value[key], normalized);
+      if (parent) {
+        parent[keys[keys.length - 1]] = IGNORED;
+      }
+    });
+  });
+  return normalized;
+}
+
+/**
+ * JSON path of a child
+ * @param {string} parentPath - Parent path
+ * @param {string} key - Child key or index
+ * @param {boolean} isIndex - Whether the parent is an array
+ * @returns {string} - e.g. "$.address.geo" or "$[0]"
+ */
+function childPath(parentPath, key, isIndex) {
+  if (isIndex) {
+    return `${parentPath}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${parentPath}.${key}` : `${parentPath}['${key}']`;
+}
+
+/**
+ * Short description of a value for diff lines
+ * @param {*} value - Value
+ * @returns {string} - JSON, truncated
+ */
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * Type name used in diffs
+ * @param {*} value - Value
+ * @returns {string} - "array", "null", "object", "string", ...
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Structural diff of two normalized bodies
+ * @param {*} expected - Snapshot
+ * @param {*} actual - Current body
+ * @param {string} jsonPath - Path of the compared values
+ * @returns {Array<string>} - One line per difference
+ */
+function diff(expected, actual, jsonPath = '$') {
+  const expectedType = typeOf(expected);
+  const actualType = typeOf(actual);
+
+  if (expectedType !== actualType) {
+    return [`${jsonPath}: expected ${expectedType} ${describe(expected)}, got ${actualType} ${describe(actual)}`];
+  }
+
+  if (expectedType === 'array') {
+    const lines = expected.length === actual.length
+      ? []
+      : [`${jsonPath}: expected ${expected.length} items, got ${actual.length}`];
+    expected.forEach((item, index) => {
+      lines.push(...(index < actual.length
+        ? diff(item, actual[index], childPath(jsonPath, index, true))
+        : [`${childPath(jsonPath, index, true)}: missing (expected ${describe(item)})`]));
+    });
+    actual.slice(expected.length).forEach((item, offset) => {
+      lines.push(`${childPath(jsonPath, expected.length + offset, true)}: unexpected ${describe(item)}`);
+    });
+    return lines;
+  }
+
+  if (expectedType === 'object') {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])].sort();
+    return keys.flatMap((key) => {
+      const keyPath = childPath(jsonPath, key, false);
+      if (!(key in actual)) {
+        return [`${keyPath}: missing (expected ${describe(expected[key])})`];
+      }
+      if (!(key in expected)) {
+        return [`${keyPath}: unexpected ${describe(actual[key])}`];
+      }
+      return diff(expected[key], actual[key], keyPath);
+    });
+  }
+
+  return expected === actual ? [] : [`${jsonPath}: expected ${describe(expected)}, got ${describe(actual)}`];
+}
+
+/**
+ * Snapshot file of an environment, spec and name
+ * @param {string} env - Environment (snapshotEnv or configFile)
+ * @param {string} spec - Spec path relative to the project
+ * @param {string} name - Snapshot name
+ * @returns {string} - Absolute file path
+ */
+function snapshotFile(env, spec, name) {
+  const specDir = spec.replace(/^cypress[\\/]e2e[\\/]/, '').replace(/\.(cy|spec)\.[jt]sx?$/, '');
+  return path.join(SNAPSHOTS_DIR, env.replace(/[^\w.-]+/g, '-'), specDir, `${name.replace(/[^\w.-]+/g, '-')}.json`);
+}
+
+/**
+ * Whether the run is a CI run
+ * @returns {boolean} - True when the CI environment variable is set (and not "false"/"0")
+ */
+function isCi() {
+  return Boolean(process.env.CI) && !['false', '0'].includes(process.env.CI);
+}
+
+/**
+ * Compare a body with its snapshot, writing the snapshot when missing (outside CI) or updating
+ * @param {Object} options - { env, spec, name, body, ignore, update }
+ * @returns {Object} - { status: 'written' | 'updated' | 'matched' | 'mismatch' | 'missing', file, diff }
+ */
+function matchSnapshot({ env, spec, name, body, ignore = [], update = false }) {
+  if (!env) {
+    throw new Error('API snapshots need an environment: set configFile or snapshotEnv');
+  }
+  const file = snapshotFile(env, spec, name);
+  const relativeFile = path.relative(process.cwd(), file);
+  const actual = normalize(body, ignore);
+  const exists = fs.existsSync(file);
+
+  if (!exists && !update && isCi()) {
+    return { status: 'missing', file: relativeFile, diff: [] };
+  }
+
+  if (!exists || update) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+    return { status: exists ? 'updated' : 'written', file: relativeFile, diff: [] };
+  }
+
+  // Ignore paths apply to the stored snapshot too, so newly ignored values don't fail
+  const expected = normalize(JSON.parse(fs.readFileSync(file, 'utf8')), ignore);
+  const lines = diff(expected, actual);
+  const shown = lines.length > MAX_DIFF_LINES
+    ? [...lines.slice(0, MAX_DIFF_LINES), `... and ${lines.length - MAX_DIFF_LINES} more`]
+    : lines;
+  return { status: lines.length ? 'mismatch' : 'matched', file: relativeFile, diff: shown };
+}
+
+module.exports = {
+  matchSnapshot,
+  normalize,
+  diff
+};
@@ -0,0 +1,43 @@
+/**
+ * Connection Probe - Node-side reachability check for API retries
+ *
+ * A connection failure (refused, unknown host, timeout) fails cy.request
+ * before any response exists, so the browser can't catch and retry it.
+ * Before a request that may be retried, apiHelper asks this probe whether
+ * the host accepts TCP connections; when it doesn't, the retry policy
+ * decides whether to wait and probe again, so connection failures get the
+ * same backoff and retry logging as retried statuses.
+ */
+
+const net = require('net');
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Try to open a TCP connection to the host of a URL
+ * @param {Object} options - { url: absolute http(s) URL, timeout: ms }
+ * @returns {Promise<Object>} - { connected: true } or { connected: false, error: 'ECONNREFUSED' }
+ */
+function probe({ url, timeout = DEFAULT_TIMEOUT }) {
+  const { hostname, port, protocol } = new URL(url);
+
+  return new Promise((resolve) => {
+    const socket = net.connect({
+      host: hostname.replace(/^\[|\]$/g, ''),
+      port: Number(port) || (protocol === 'https:' ? 443 : 80)
+    });
+    const finish = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeout);
+    socket.once('connect', () => finish({ connected: true }));
+    socket.once('timeout', () => finish({ connected: false, error: 'ETIMEDOUT' }));
+    socket.once('error', error => finish({ connected: false, error: error.code || error.message }));
+  });
+}
+
+module.exports = {
+  probe
+};
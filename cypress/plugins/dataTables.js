@@ -0,0 +1,274 @@
+/**
+ * Data Tables - Rows for data-driven specs
+ *
+ * Tests have to be declared synchronously when a spec loads, before any
+ * cy.fixture call could run, so the tables under cypress/fixtures/tables
+ * are read here and handed to the browser in the `dataTables` env value.
+ * dataDriven() (cypress/support/utils/dataDriven.js) turns each row into
+ * an it().
+ *
+ * Tables are CSV, JSON or YAML (an array of rows, or { rows: [...] }).
+ * Every row is normalized to { name, tags: [], expectedStatus: [], ... };
+ * tags and expected statuses may be separated by spaces, commas or "|",
+ * and a truthy `skip` column declares the row's test as pending.
+ * CSV specifics:
+ *   - Cells are strings; a type suffix on the header converts them:
+ *     "age:number", "active:boolean", "payload:json"
+ *   - Dotted headers build nested objects: "body.email" -> row.body.email
+ *   - An empty cell leaves the column out of the row (a missing field);
+ *     a quoted empty cell ("") is an empty string
+ */
+
+const fs = require('fs');
+const path = require('path');
+const globby = require('globby');
+const yaml = require('js-yaml');
+
+const TABLES_DIR = path.resolve(__dirname, '../fixtures/tables');
+const TABLE_FILE = /\.(csv|json|ya?ml)$/;
+const DATA_DRIVEN_CALL = /\bdataDriven\s*\(/;
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, line breaks in quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<Object>>} - Rows of cells { value, quoted }
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = { value: '', quoted: false };
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell.value += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell.value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      cell.quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = { value: '', quoted: false };
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = { value: '', quoted: false };
+    } else {
+      cell.value += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('unterminated quoted cell');
+  }
+  if (cell.value !== '' || cell.quoted || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Skip blank lines
+  return rows.filter(cells => cells.length > 1 || cells[0].value.trim() !== '' || cells[0].quoted);
+}
+
+/**
+ * Convert a CSV cell by the column type
+ * @param {string} value - Cell text
+ * @param {string} type - "string", "number", "boolean" or "json"
+ * @param {string} column - Column name for errors
+ * @returns {*} - Converted value
+ */
+function convertCell(value, type, column) {
+  if (type === 'number') {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) {
+      throw new Error(`column "${column}": "${value}" is not a number`);
+    }
+    return number;
+  }
+  if (type === 'boolean') {
+    if (!['true', 'false'].includes(value.trim().toLowerCase())) {
+      throw new Error(`column "${column}": "${value}" is not true or false`);
+    }
+    return value.trim().toLowerCase() === 'true';
+  }
+  if (type === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`column "${column}": invalid JSON (${error.message})`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Set a dotted key on an object
+ * @param {Object} target - Object to fill
+ * @param {string} dottedKey - e.g. "body.address.city"
+ * @param {*} value - Value
+ */
+function setPath(target, dottedKey, value) {
+  const keys = dottedKey.split('.');
+  const parent = keys.slice(0, -1).reduce((object, key) => {
+    object[key] = object[key] && typeof object[key] === 'object' ? object[key] : {};
+    return object[key];
+  }, target);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Turn CSV text into row objects
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Rows
+ */
+function csvRows(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((cell) => {
+    const [key, type = 'string'] = cell.value.trim().split(':');
+    if (!['string', 'number', 'boolean', 'json'].includes(type)) {
+      throw new Error(`column "${key}": unknown type "${type}" (use number, boolean or json)`);
+    }
+    return { key, type };
+  });
+
+  return lines.map((cells, lineIndex) => {
+    if (cells.length > columns.length) {
+      throw new Error(`line ${lineIndex + 2}: ${cells.length} cells for ${columns.length} columns`);
+    }
+    const row = {};
+    cells.forEach((cell, index) => {
+      if (cell.value === '' && !cell.quoted) {
+        return;
+      }
+      const { key, type } = columns[index];
+      setPath(row, key, convertCell(cell.value, type, key));
+    });
+    return row;
+  });
+}
+
+/**
+ * Normalize the reserved columns of a row
+ * @param {Object} row - Raw row
+ * @param {number} index - Row index, for the default name
+ * @returns {Object} - Row with name, tags (array) and expectedStatus (array of numbers)
+ */
+function normalizeRow(row, index) {
+  const split = value => (Array.isArray(value) ? value : String(value).split(/[\s,|]+/)).filter(item => item !== '');
+  const expectedStatus = row.expectedStatus === undefined ? [] : split(row.expectedStatus).map(Number);
+  if (expectedStatus.some(Number.isNaN)) {
+    throw new Error(`row ${index + 1}: expectedStatus must be status codes (e.g. "201" or "400|422")`);
+  }
+
+  return {
+    ...row,
+    name: row.name !== undefined ? String(row.name) : `row ${index + 1}`,
+    tags: row.tags === undefined ? [] : split(row.tags),
+    expectedStatus
+  };
+}
+
+/**
+ * Read one table file
+ * @param {string} file - Absolute file path
+ * @returns {Array<Object>} - Normalized rows
+ */
+function readTable(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let rows;
+  if (file.endsWith('.csv')) {
+    rows = csvRows(text);
+  } else {
+    const data = file.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    rows = Array.isArray(data) ? data : data && data.rows;
+    if (!Array.isArray(rows)) {
+      throw new Error('expected an array of rows or { rows: [...] }');
+    }
+  }
+  return rows.map(normalizeRow);
+}
+
+/**
+ * List files under a directory
+ * @param {string} dir - Directory to walk
+ * @param {RegExp} pattern - File name pattern
+ * @returns {Array<string>} - Absolute file paths
+ */
+function listFiles(dir, pattern) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).flatMap((entry) => {
+    const fullPath = path.join(dir, entry);
+    if (fs.statSync(fullPath).isDirectory()) {
+      return listFiles(fullPath, pattern);
+    }
+    return pattern.test(entry) ? [fullPath] : [];
+  });
+}
+
+/**
+ * Load every table under cypress/fixtures/tables
+ * @returns {Object} - { "users-cases.csv": [rows], "admin/roles.yaml": [rows] }
+ */
+function loadTables() {
+  return Object.fromEntries(listFiles(TABLES_DIR, TABLE_FILE).map((file) => {
+    const name = path.relative(TABLES_DIR, file).split(path.sep).join('/');
+    try {
+      return [name, readTable(file)];
+    } catch (error) {
+      throw new Error(`Invalid data table ${name}: ${error.message}`);
+    }
+  }));
+}
+
+/**
+ * Put data-driven specs back after @cypress/grep pre-filtered the specs
+ * With grepFilterSpecs, specs are picked by the titles and tags written in
+ * the spec file, and those of dataDriven() rows come from tables, so a
+ * grep matching only rows would drop the spec. Data-driven specs therefore
+ * always run, and grep selects their rows at run time. Only specs the
+ * original specPattern matches are put back, found the way the grep plugin
+ * finds them (relative to grepIntegrationFolder or the working directory).
+ * @param {Object} config - Cypress config, after the grep plugin
+ * @param {string|Array<string>} specPattern - specPattern before the grep plugin
+ * @returns {Object} - Config
+ */
+function keepDataDrivenSpecs(config, specPattern) {
+  // Unchanged pattern: specs were not pre-filtered
+  if (config.specPattern === specPattern || !Array.isArray(config.specPattern)) {
+    return config;
+  }
+
+  const { excludeSpecPattern } = config;
+  const dropped = globby.sync(specPattern, {
+    cwd: config.env.grepIntegrationFolder || process.cwd(),
+    ignore: [].concat(excludeSpecPattern || []),
+    absolute: true
+  })
+    .filter(file => !config.specPattern.includes(file))
+    .filter(file => DATA_DRIVEN_CALL.test(fs.readFileSync(file, 'utf8')));
+  if (dropped.length) {
+    console.log(`[dataDriven] Keeping ${dropped.length} data-driven spec(s) for row-level grep: ${dropped.map(file => path.relative(process.cwd(), file)).join(', ')}`);
+    config.specPattern = [...config.specPattern, ...dropped];
+  }
+  return config;
+}
+
+module.exports = {
+  loadTables,
+  keepDataDrivenSpecs
+};
@@ -0,0 +1,276 @@
+/**
+ * HAR Recorder - HAR 1.2 capture of API traffic
+ *
+ * Every exchange made through apiHelper is recorded here with full headers,
+ * bodies, timing and redirect hops. Each test becomes a HAR page, so a
+ * test's entries can be attached to its Allure result and the whole spec
+ * written to cypress/reports/har/<spec>.har.
+ *
+ * Secrets are redacted before anything is stored: sensitive headers,
+ * query parameters and body fields (at any depth) are replaced with
+ * "[REDACTED]". Extra names can be added with the `harRedact` env value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HAR_DIR = path.resolve(__dirname, '../reports/har');
+const REDACTED = '[REDACTED]';
+
+// Header, query parameter and body field names that are always redacted
+const SENSITIVE_NAME = /pass(word)?|secret|token|api[-_]?key|authorization|cookie|signature|credential/i;
+
+// Extra names to redact (from the `harRedact` env value)
+let extraNames = [];
+
+// Recorded traffic per spec: { specPath: { pages: [], entries: [] } }
+const specs = {};
+
+/**
+ * Configure the recorder
+ * @param {Object} options - { redact: Array<string> } extra names to redact
+ */
+function configure({ redact = [] } = {}) {
+  extraNames = redact.map(name => name.toLowerCase());
+}
+
+/**
+ * Check whether a header, parameter or field name holds a secret
+ * @param {string} name - Name
+ * @returns {boolean} - True when the value must be redacted
+ */
+function isSensitive(name) {
+  return SENSITIVE_NAME.test(name) || extraNames.includes(String(name).toLowerCase());
+}
+
+/**
+ * Redact secrets in a parsed body
+ * @param {*} value - Body or part of it
+ * @returns {*} - Copy with sensitive fields redacted
+ */
+function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      return [key, isSensitive(key) ? REDACTED : redactValue(item)];
+    }));
+  }
+  return value;
+}
+
+/**
+ * Redact secrets in a raw body
+ * JSON and form-encoded bodies are redacted field by field; other text is kept.
+ * @param {*} body - Body as sent or received
+ * @returns {string} - Redacted body text ('' when there is no body)
+ */
+function redactBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return '';
+  }
+  if (typeof body !== 'string') {
+    return JSON.stringify(redactValue(body));
+  }
+
+  try {
+    return JSON.stringify(redactValue(JSON.parse(body)));
+  } catch (error) {
+    // Not JSON: try form encoding
+  }
+  if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(body)) {
+    const params = new URLSearchParams(body);
+    params.forEach((value, name) => {
+      if (isSensitive(name)) {
+        params.set(name, REDACTED);
+      }
+    });
+    return params.toString();
+  }
+  return body;
+}
+
+/**
+ * Convert a header object to a redacted HAR header list
+ * @param {Object} headers - { name: value | [values] }
+ * @returns {Array<Object>} - [{ name, value }]
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) => {
+    const values = Array.isArray(value) ? value : [value];
+    return values.map(item => ({ name, value: isSensitive(name) ? REDACTED : String(item) }));
+  });
+}
+
+/**
+ * Find a header value regardless of case
+ * @param {Object} headers - Header object
+ * @param {string} name - Header name
+ * @returns {string} - Value ('' when missing)
+ */
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  const value = key ? headers[key] : '';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Redact secrets in a URL's query string
+ * @param {string} url - Absolute URL
+ * @returns {Object} - { url, queryString: [{ name, value }] }
+ */
+function redactUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { url, queryString: [] };
+  }
+
+  parsed.searchParams.forEach((value, name) => {
+    if (isSensitive(name)) {
+      parsed.searchParams.set(name, REDACTED);
+    }
+  });
+  return {
+    url: parsed.toString(),
+    queryString: [...parsed.searchParams].map(([name, value]) => ({ name, value }))
+  };
+}
+
+/**
+ * Build a HAR entry from one request/response hop
+ * @param {Object} hop - { url, method, requestHeaders, requestBody, status, statusText, responseHeaders, responseBody }
+ * @param {Object} timing - { startedDateTime, time, pageref }
+ * @returns {Object} - HAR entry
+ */
+function toHarEntry(hop, { startedDateTime, time, pageref }) {
+  const { url, queryString } = redactUrl(hop.url);
+  const requestText = redactBody(hop.requestBody);
+  const responseText = redactBody(hop.responseBody);
+  const requestMime = headerValue(hop.requestHeaders, 'content-type') || 'application/json';
+
+  return {
+    pageref,
+    startedDateTime,
+    time,
+    request: {
+      method: (hop.method || 'GET').toUpperCase(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(hop.requestHeaders),
+      queryString,
+      ...(requestText ? { postData: { mimeType: requestMime, text: requestText } } : {}),
+      headersSize: -1,
+      bodySize: Buffer.byteLength(requestText)
+    },
+    response: {
+      status: hop.status,
+      statusText: hop.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(hop.responseHeaders),
+      content: {
+        size: Buffer.byteLength(responseText),
+        mimeType: headerValue(hop.responseHeaders, 'content-type') || 'application/octet-stream',
+        text: responseText
+      },
+      redirectURL: headerValue(hop.responseHeaders, 'location'),
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 }
+  };
+}
+
+/**
+ * Record one exchange (a request and its redirect hops)
+ * Cypress only reports the total duration, so it is put on the final hop.
+ * @param {Object} options - { spec, test, exchange: { startedDateTime, time, hops } }
+ * @returns {null} - Cypress tasks must return a value
+ */
+function recordExchange({ spec, test, exchange }) {
+  const har = specs[spec] || (specs[spec] = { pages: [], entries: [] });
+
+  let page = har.pages.find(item => item.title === test);
+  if (!page) {
+    page = {
+      startedDateTime: exchange.startedDateTime,
+      id: `page_${har.pages.length + 1}`,
+      title: test,
+      pageTimings: {}
+    };
+    har.pages.push(page);
+  }
+
+  exchange.hops.forEach((hop, index) => {
+    const isLast = index === exchange.hops.length - 1;
+    har.entries.push(toHarEntry(hop, {
+      startedDateTime: exchange.startedDateTime,
+      time: isLast ? exchange.time : 0,
+      pageref: page.id
+    }));
+  });
+  return null;
+}
+
+/**
+ * Wrap pages and entries in a HAR log
+ * @param {Array<Object>} pages - HAR pages
+ * @param {Array<Object>} entries - HAR entries
+ * @returns {Object} - HAR document
+ */
+function toHar(pages, entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'cypress-automation-framework', version: '1.0.0' },
+      pages,
+      entries
+    }
+  };
+}
+
+/**
+ * HAR of one test's traffic, for attaching to its report
+ * @param {Object} options - { spec, test }
+ * @returns {string|null} - HAR JSON, or null when the test made no API calls
+ */
+function getTestHar({ spec, test }) {
+  const har = specs[spec];
+  const page = har && har.pages.find(item => item.title === test);
+  if (!page) {
+    return null;
+  }
+  return JSON.stringify(toHar([page], har.entries.filter(entry => entry.pageref === page.id)), null, 2);
+}
+
+/**
+ * Write a spec's traffic to cypress/reports/har/<spec>.har and forget it
+ * @param {string} spec - Spec path relative to the project (e.g. cypress/e2e/api/users.cy.js)
+ * @returns {string|null} - Written file, or null when the spec made no API calls
+ */
+function writeSpecHar(spec) {
+  const har = specs[spec];
+  delete specs[spec];
+  if (!har) {
+    return null;
+  }
+
+  const fileName = spec.replace(/^cypress[\\/]e2e[\\/]/, '').replace(/\.(cy|spec)\.[jt]sx?$/, '').replace(/[\\/]/g, '__');
+  const file = path.join(HAR_DIR, `${fileName}.har`);
+  fs.mkdirSync(HAR_DIR, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(toHar(har.pages, har.entries), null, 2));
+  console.log(`HAR written: ${path.relative(process.cwd(), file)} (${har.entries.length} entries)`);
+  return file;
+}
+
+module.exports = {
+  configure,
+  recordExchange,
+  getTestHar,
+  writeSpecHar
+};
@@ -0,0 +1,178 @@
+/**
+ * Locator Coverage Report - Which YAML locators a run actually used
+ *
+ * Collects locator hits sent from each spec and, at the end of the run,
+ * compares them with every key defined in cypress/locators. Writes a JSON
+ * report plus a simple HTML view listing used keys (with hit counts) and
+ * unused keys per file, so dead locators can be deleted safely.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LOCATORS_DIR = path.resolve(__dirname, '../locators');
+const REPORT_DIR = path.resolve(__dirname, '../reports');
+
+// Page keys that hold metadata rather than selectors
+const NON_SELECTOR_KEYS = ['url', 'routes', 'overrides'];
+
+// Hits recorded during the run: { 'home': { 'header.logo': 3 } }
+const hits = {};
+
+/**
+ * Merge locator hits sent from a spec
+ * @param {Object} specHits - { 'pageName.elementKey': count } keyed by defining file
+ * @returns {null} - Cypress tasks must return a value
+ */
+function recordUsage(specHits) {
+  Object.entries(specHits || {}).forEach(([locatorKey, count]) => {
+    const [pageName, ...keyParts] = locatorKey.split('.');
+    const elementKey = keyParts.join('.');
+    hits[pageName] = hits[pageName] || {};
+    hits[pageName][elementKey] = (hits[pageName][elementKey] || 0) + count;
+  });
+  return null;
+}
+
+/**
+ * List every addressable key of a locator file
+ * Group keys are dotted ("header.logo"); a group with a root is itself a key.
+ * @param {string} pageName - Page name (file name without extension)
+ * @param {Object} contents - Parsed YAML contents
+ * @returns {Array<string>} - Element keys
+ */
+function listKeys(pageName, contents) {
+  const section = contents[`${pageName}Page`] || contents[pageName] || contents;
+  const keys = [];
+
+  const walk = (node, prefix) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const fullKey = `${prefix}${key}`;
+      if (!prefix && (key === 'extends' || NON_SELECTOR_KEYS.includes(key))) {
+        return;
+      }
+      if (prefix && key === 'root') {
+        return;
+      }
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        if (value.root) {
+          keys.push(fullKey);
+        }
+        walk(value, `${fullKey}.`);
+      } else {
+        keys.push(fullKey);
+      }
+    });
+  };
+
+  walk(section || {}, '');
+  return keys;
+}
+
+/**
+ * Escape text for HTML output
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+/**
+ * Render the HTML view of the report
+ * @param {Object} report - Coverage report
+ * @returns {string} - HTML document
+ */
+function renderHtml(report) {
+  const fileSections = Object.entries(report.files).map(([file, data]) => `
+    <h2>${escapeHtml(file)} <small>${data.used.length}/${data.defined} used</small></h2>
+    <table>
+      <tr><th>Key</th><th>Hits</th></tr>
+      ${data.used.map(entry => `<tr><td>${escapeHtml(entry.key)}</td><td>${entry.hits}</td></tr>`).join('')}
+      ${data.unused.map(key => `<tr class="unused"><td>${escapeHtml(key)}</td><td>unused</td></tr>`).join('')}
+    </table>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Locator Coverage</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; margin: 20px; }
+    table { border-collapse: collapse; margin-bottom: 20px; min-width: 400px; }
+    th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: left; }
+    th { background: #f8f9fa; }
+    small { color: #666; font-weight: normal; }
+    .unused td { color: #dc3545; }
+  </style>
+</head>
+<body>
+  <h1>Locator Coverage</h1>
+  <p>${report.summary.used} of ${report.summary.defined} locators used (${report.summary.coverage}%) - generated ${escapeHtml(report.generatedAt)}</p>
+  ${fileSections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the coverage report (JSON and HTML)
+ * Skipped when no locator was resolved during the run (e.g. API-only runs),
+ * since every key would look unused.
+ * @returns {Object|null} - Report contents
+ */
+function writeReport() {
+  if (Object.keys(hits).length === 0) {
+    return null;
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    summary: { defined: 0, used: 0, unused: 0, coverage: 0 },
+    files: {}
+  };
+
+  fs.readdirSync(LOCATORS_DIR)
+    .filter(file => file.endsWith('.yaml'))
+    .forEach((file) => {
+      const pageName = path.basename(file, '.yaml');
+      const contents = yaml.load(fs.readFileSync(path.join(LOCATORS_DIR, file), 'utf8')) || {};
+      const pageHits = hits[pageName] || {};
+      const keys = listKeys(pageName, contents);
+
+      const used = keys
+        .filter(key => pageHits[key])
+        .map(key => ({ key, hits: pageHits[key] }))
+        .sort((a, b) => b.hits - a.hits);
+
+      report.files[file] = {
+        defined: keys.length,
+        used,
+        unused: keys.filter(key => !pageHits[key])
+      };
+      report.summary.defined += keys.length;
+      report.summary.used += used.length;
+    });
+
+  report.summary.unused = report.summary.defined - report.summary.used;
+  report.summary.coverage = report.summary.defined
+    ? Math.round((report.summary.used / report.summary.defined) * 1000) / 10
+    : 0;
+
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(REPORT_DIR, 'locator-coverage.json'), JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(REPORT_DIR, 'locator-coverage.html'), renderHtml(report));
+
+  console.log(`\n[Locators] Coverage: ${report.summary.used}/${report.summary.defined} locators used (${report.summary.coverage}%)`);
+  console.log(`[Locators] Coverage report written to ${path.join(REPORT_DIR, 'locator-coverage.html')}\n`);
+
+  return report;
+}
+
+module.exports = {
+  recordUsage,
+  writeReport
+};
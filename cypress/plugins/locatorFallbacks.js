@@ -0,0 +1,80 @@
+/**
+ * Locator Fallback Report - Node-side collector for self-healing locators
+ * 
+ * Records every locator key that resolved through a fallback selector
+ * and writes a report at the end of the run, so the primary selector
+ * in the YAML file can be fixed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_PATH = path.resolve(__dirname, '../reports/locator-fallbacks.json');
+
+// Fallbacks recorded during the run, keyed by "pageName.elementKey"
+const fallbacks = {};
+
+/**
+ * Record a locator that resolved through a fallback selector
+ * @param {Object} entry - Fallback details sent from the browser
+ * @returns {null} - Cypress tasks must return a value
+ */
+function recordFallback(entry) {
+  const key = `${entry.pageName}.${entry.elementKey}`;
+  
+  if (!fallbacks[key]) {
+    fallbacks[key] = {
+      key,
+      primary: entry.primary,
+      fallbacks: {},
+      specs: []
+    };
+  }
+  
+  const record = fallbacks[key];
+  const used = record.fallbacks[entry.used] || { selector: entry.used, index: entry.index, hits: 0 };
+  used.hits++;
+  record.fallbacks[entry.used] = used;
+  
+  if (entry.spec && !record.specs.includes(entry.spec)) {
+    record.specs.push(entry.spec);
+  }
+  
+  return null;
+}
+
+/**
+ * Write the fallback report and print a summary
+ * @returns {Object} - Report contents
+ */
+function writeReport() {
+  const entries = Object.values(fallbacks).map(record => ({
+    ...record,
+    fallbacks: Object.values(record.fallbacks)
+  }));
+  
+  const report = {
+    generatedAt: new Date().toISOString(),
+    total: entries.length,
+    fallbacks: entries
+  };
+  
+  fs.mkdirSync(path.dirname(REPORT_PATH), { recursive: true });
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+  
+  if (entries.length > 0) {
+    console.log(`\n[Locators] ${entries.length} locator(s) resolved through a fallback selector:`);
+    entries.forEach(record => {
+      const used = record.fallbacks.map(f => f.selector).join(', ');
+      console.log(`  - ${record.key}: primary "${record.primary}" failed, used ${used}`);
+    });
+    console.log(`[Locators] Fallback report written to ${REPORT_PATH}\n`);
+  }
+  
+  return report;
+}
+
+module.exports = {
+  recordFallback,
+  writeReport
+};
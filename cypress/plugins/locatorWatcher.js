@@ -0,0 +1,155 @@
+/**
+ * Locator Watcher - Live reload of YAML locators in interactive mode
+ *
+ * Watches cypress/locators while `cypress open` is running. Every change
+ * bumps the version of the edited file; the browser-side locator cache
+ * compares versions and re-reads only the files that changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LOCATORS_DIR = path.resolve(__dirname, '../locators');
+const DEBOUNCE_MS = 100;
+
+// Version per page name, bumped on every change
+const versions = {};
+
+// Flattened contents per page name, used to report changed keys
+const snapshots = {};
+
+const pendingChanges = {};
+let watcher = null;
+
+/**
+ * Flatten locator contents into dotted keys
+ * @param {Object} node - Parsed YAML contents
+ * @param {string} prefix - Key prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} - { 'loginPage.loginButton': '"[data-testid=...]"' }
+ */
+function flatten(node, prefix = '', result = {}) {
+  Object.entries(node || {}).forEach(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, fullKey, result);
+    } else {
+      result[fullKey] = JSON.stringify(value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Read and flatten a locator file
+ * @param {string} pageName - Page name (file name without extension)
+ * @returns {Object|null} - Flattened contents, or null if the file is gone
+ */
+function readSnapshot(pageName) {
+  const filePath = path.join(LOCATORS_DIR, `${pageName}.yaml`);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return flatten(yaml.load(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Describe the keys that differ between two snapshots
+ * @param {Object} before - Previous flattened contents
+ * @param {Object} after - New flattened contents
+ * @returns {Array<string>} - Entries like "+ key", "- key", "~ key"
+ */
+function diffKeys(before = {}, after = {}) {
+  const changes = [];
+  Object.keys(after).forEach((key) => {
+    if (!(key in before)) {
+      changes.push(`+ ${key}`);
+    } else if (before[key] !== after[key]) {
+      changes.push(`~ ${key}`);
+    }
+  });
+  Object.keys(before).forEach((key) => {
+    if (!(key in after)) {
+      changes.push(`- ${key}`);
+    }
+  });
+  return changes;
+}
+
+/**
+ * Handle a change to a locator file
+ * @param {string} pageName - Page name (file name without extension)
+ */
+function handleChange(pageName) {
+  let snapshot;
+  try {
+    snapshot = readSnapshot(pageName);
+  } catch (error) {
+    // Keep the previous version until the file parses again
+    console.log(`[Locators] ${pageName}.yaml has a YAML error, keeping cached locators: ${error.message.split('\n')[0]}`);
+    return;
+  }
+
+  const changes = diffKeys(snapshots[pageName], snapshot || {});
+  if (changes.length === 0) {
+    return;
+  }
+
+  versions[pageName] = (versions[pageName] || 0) + 1;
+  if (snapshot) {
+    snapshots[pageName] = snapshot;
+  } else {
+    delete snapshots[pageName];
+  }
+
+  console.log(`[Locators] ${pageName}.yaml ${snapshot ? 'changed' : 'removed'} (v${versions[pageName]}):`);
+  changes.forEach(change => console.log(`  ${change}`));
+}
+
+/**
+ * Start watching the locators folder
+ * Safe to call again when setupNodeEvents re-runs; the old watcher is closed.
+ */
+function watch() {
+  if (watcher) {
+    watcher.close();
+  }
+
+  fs.readdirSync(LOCATORS_DIR)
+    .filter(file => file.endsWith('.yaml'))
+    .forEach((file) => {
+      const pageName = path.basename(file, '.yaml');
+      try {
+        snapshots[pageName] = readSnapshot(pageName);
+      } catch (error) {
+        snapshots[pageName] = {};
+      }
+    });
+
+  watcher = fs.watch(LOCATORS_DIR, (eventType, fileName) => {
+    if (!fileName || !fileName.endsWith('.yaml')) {
+      return;
+    }
+
+    // Editors often write a file several times per save
+    const pageName = path.basename(fileName, '.yaml');
+    clearTimeout(pendingChanges[pageName]);
+    pendingChanges[pageName] = setTimeout(() => handleChange(pageName), DEBOUNCE_MS);
+  });
+
+  console.log(`[Locators] Watching ${LOCATORS_DIR} for changes`);
+}
+
+/**
+ * Get the current version of every changed locator file
+ * @returns {Object} - { pageName: version }
+ */
+function getVersions() {
+  return { ...versions };
+}
+
+module.exports = {
+  watch,
+  getVersions
+};
@@ -0,0 +1,451 @@
+/**
+ * Mock Server - Local in-memory API for offline runs
+ *
+ * Started by setupNodeEvents when the `mockServer` env value is set (see
+ * cypress/config/mock.json); `apiBaseUrl` then points at it. It mimics the
+ * JSONPlaceholder API the specs are written against, with realistic
+ * validation:
+ *
+ *   GET    /users, /posts                  list (filter by field, _page/_limit, _start/_end)
+ *   POST   /users, /posts                  201, or 422 with field errors
+ *   GET    /users/:id, /posts/:id          200 or 404
+ *   PUT    /users/:id, /posts/:id          replace (full validation)
+ *   PATCH  /users/:id, /posts/:id          merge (validates the fields sent)
+ *   DELETE /users/:id, /posts/:id          200 {}
+ *   GET    /posts/:id/comments             comments of a post (404 for unknown posts)
+ *   POST   /posts/:id/comments             add a comment
+ *   POST   /auth/login                     { token, expires_in } for any non-empty credentials
+ *   POST   /auth/token                     OAuth2 client credentials grant (form body)
+ *   GET    /auth/me                        how the request authenticated, or 401
+ *   POST   /auth/revoke                    invalidates every issued token
+ *
+ * Non-JSON request bodies get 415 and malformed JSON 400. State is seeded
+ * from cypress/fixtures/mock/seed.json (users, plus how many posts and
+ * comments to generate) and reset with cy.task('mockReset', seed?).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const DEFAULT_SEED_FILE = 'cypress/fixtures/mock/seed.json';
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Words for generated post and comment text
+const WORDS = [
+  'sunt', 'aut', 'facere', 'repellat', 'provident', 'occaecati', 'excepturi', 'optio', 'reprehenderit',
+  'qui', 'est', 'esse', 'dolorem', 'ipsum', 'ea', 'molestias', 'quasi', 'exercitationem', 'eum',
+  'et', 'iusto', 'sed', 'quo', 'nesciunt', 'magnam', 'facilis', 'autem', 'dolor', 'beatae', 'laboriosam'
+];
+
+// Field rules per collection; PATCH checks only the fields sent
+const RULES = {
+  users: {
+    required: ['name', 'email'],
+    fields: { name: 'text', username: 'string', email: 'email' }
+  },
+  posts: {
+    required: ['title', 'body', 'userId'],
+    fields: { title: 'text', body: 'text', userId: 'user' }
+  },
+  comments: {
+    required: ['name', 'email', 'body'],
+    fields: { name: 'text', email: 'email', body: 'text' }
+  }
+};
+
+// Tokens issued by /auth/login and /auth/token; kept across mockReset, like
+// the token cache of cypress/plugins/apiAuth.js
+const issuedTokens = new Set();
+let tokenCount = 0;
+
+let server = null;
+let serverUrl = null;
+let seedFile = DEFAULT_SEED_FILE;
+let state = null;
+
+/**
+ * Deterministic words for generated content
+ * @param {number} seed - Number the text is derived from
+ * @param {number} count - Number of words
+ * @returns {string} - Words separated by spaces
+ */
+function words(seed, count) {
+  return Array.from({ length: count }, (_, index) => WORDS[(seed * 7 + index * 13) % WORDS.length]).join(' ');
+}
+
+/**
+ * Build the state from the seed file and seed overrides
+ * @param {Object} seed - { users, posts, comments } replacing the seeded collections
+ * @returns {Object} - { users, posts, comments }
+ */
+function buildState(seed) {
+  const base = JSON.parse(fs.readFileSync(path.resolve(PROJECT_ROOT, seedFile), 'utf8'));
+  const users = seed.users || base.users || [];
+
+  const posts = seed.posts || users.flatMap((user, userIndex) => {
+    return Array.from({ length: base.postsPerUser || 0 }, (_, index) => {
+      const id = userIndex * base.postsPerUser + index + 1;
+      return { userId: user.id, id, title: words(id, 6), body: `${words(id + 1, 12)}\n${words(id + 2, 10)}` };
+    });
+  });
+
+  const comments = seed.comments || posts.flatMap((post, postIndex) => {
+    return Array.from({ length: base.commentsPerPost || 0 }, (_, index) => {
+      const id = postIndex * base.commentsPerPost + index + 1;
+      return {
+        postId: post.id,
+        id,
+        name: words(id + 3, 4),
+        email: `${WORDS[id % WORDS.length]}.${id}@example.com`,
+        body: words(id + 4, 15)
+      };
+    });
+  });
+
+  return JSON.parse(JSON.stringify({ users, posts, comments }));
+}
+
+/**
+ * Reset the state to the seed
+ * @param {Object} seed - Optional { users, posts, comments } replacing the seeded collections
+ * @returns {null} - Cypress tasks must return a value
+ */
+function reset(seed) {
+  state = buildState(seed || {});
+  return null;
+}
+
+/**
+ * Validate a request body
+ * @param {string} collection - users, posts or comments
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Check only the fields sent (PATCH)
+ * @returns {Array<Object>} - [{ field, message }]
+ */
+function validate(collection, body, partial) {
+  const { required, fields } = RULES[collection];
+  const errors = partial ? [] : required
+    .filter(field => body[field] === undefined)
+    .map(field => ({ field, message: 'is required' }));
+
+  Object.entries(fields).forEach(([field, rule]) => {
+    const value = body[field];
+    if (value === undefined) {
+      return;
+    }
+    if (rule === 'string' && typeof value !== 'string') {
+      errors.push({ field, message: 'must be a string' });
+    } else if (rule === 'text' && (typeof value !== 'string' || value.trim() === '')) {
+      errors.push({ field, message: 'must be a non-empty string' });
+    } else if (rule === 'email' && (typeof value !== 'string' || !EMAIL.test(value))) {
+      errors.push({ field, message: 'must be a valid email address' });
+    } else if (rule === 'user' && !state.users.some(user => user.id === value)) {
+      errors.push({ field, message: 'must be the id of an existing user' });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Filter and paginate a list like json-server
+ * @param {Array<Object>} items - Collection items
+ * @param {URL} url - Request URL
+ * @returns {Object} - { items, headers }
+ */
+function listItems(items, url) {
+  const query = url.searchParams;
+  const filtered = items.filter((item) => {
+    return [...new Set(query.keys())]
+      .filter(key => !key.startsWith('_'))
+      .every(key => query.getAll(key).includes(String(item[key])));
+  });
+
+  const headers = { 'X-Total-Count': String(filtered.length) };
+  const limit = query.has('_limit') ? Number(query.get('_limit')) : null;
+
+  if (query.has('_page')) {
+    const page = Math.max(1, Number(query.get('_page')) || 1);
+    const pageSize = limit || 10;
+    const lastPage = Math.max(1, Math.ceil(filtered.length / pageSize));
+    const pageUrl = (number) => {
+      const target = new URL(url);
+      target.searchParams.set('_page', number);
+      return target.toString();
+    };
+    const links = [`<${pageUrl(1)}>; rel="first"`];
+    if (page > 1) {
+      links.push(`<${pageUrl(page - 1)}>; rel="prev"`);
+    }
+    if (page < lastPage) {
+      links.push(`<${pageUrl(page + 1)}>; rel="next"`);
+    }
+    links.push(`<${pageUrl(lastPage)}>; rel="last"`);
+    headers.Link = links.join(', ');
+    return { items: filtered.slice((page - 1) * pageSize, page * pageSize), headers };
+  }
+
+  const start = Number(query.get('_start')) || 0;
+  let end = query.has('_end') ? Number(query.get('_end')) : filtered.length;
+  if (limit !== null) {
+    end = Math.min(end, start + limit);
+  }
+  return { items: filtered.slice(start, end), headers };
+}
+
+/**
+ * Create, read, update or delete one collection item
+ * @param {string} collection - users or posts
+ * @param {string} method - HTTP method
+ * @param {string} idText - Id from the path
+ * @param {Object} body - Parsed request body
+ * @returns {Array} - [status, body]
+ */
+function handleItem(collection, method, idText, body) {
+  const items = state[collection];
+  const index = items.findIndex(item => String(item.id) === idText);
+  if (index === -1) {
+    return [404, { message: `${collection.slice(0, -1)} ${idText} not found` }];
+  }
+
+  if (method === 'GET') {
+    return [200, items[index]];
+  }
+  if (method === 'DELETE') {
+    const [removed] = items.splice(index, 1);
+    if (collection === 'posts') {
+      state.comments = state.comments.filter(comment => comment.postId !== removed.id);
+    }
+    return [200, {}];
+  }
+  if (method === 'PUT' || method === 'PATCH') {
+    const errors = validate(collection, body, method === 'PATCH');
+    if (errors.length) {
+      return [422, { message: 'Validation failed', errors }];
+    }
+    const base = method === 'PATCH' ? items[index] : {};
+    items[index] = { ...base, ...body, id: items[index].id };
+    return [200, items[index]];
+  }
+  return [405, { message: `${method} not allowed` }];
+}
+
+/**
+ * Add an item to a collection
+ * @param {string} collection - users, posts or comments
+ * @param {Object} body - Parsed request body
+ * @param {Object} fixed - Fields set by the route (e.g. postId)
+ * @returns {Array} - [status, body, headers]
+ */
+function createItem(collection, body, fixed = {}) {
+  const errors = validate(collection, body, false);
+  if (errors.length) {
+    return [422, { message: 'Validation failed', errors }];
+  }
+  const items = state[collection];
+  const item = { ...body, ...fixed, id: items.reduce((max, current) => Math.max(max, current.id), 0) + 1 };
+  items.push(item);
+  return [201, item, { Location: `/${collection}/${item.id}` }];
+}
+
+/**
+ * Issue a token
+ * @returns {string} - New token
+ */
+function issueToken() {
+  tokenCount += 1;
+  const token = `mock-token-${Date.now()}-${tokenCount}`;
+  issuedTokens.add(token);
+  return token;
+}
+
+/**
+ * Find out how a request authenticated
+ * @param {URL} url - Request URL
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {Object|null} - { scheme, ... }, or null when it didn't
+ */
+function authenticate(url, headers) {
+  const [scheme, credentials = ''] = String(headers.authorization || '').split(' ');
+  if (scheme === 'Bearer') {
+    return issuedTokens.has(credentials) ? { scheme: 'bearer', token: credentials } : null;
+  }
+  if (scheme === 'Basic') {
+    const [username, password] = Buffer.from(credentials, 'base64').toString('utf8').split(':');
+    return username && password ? { scheme: 'basic', username } : null;
+  }
+  if (headers['x-api-key']) {
+    return { scheme: 'apiKey', in: 'header', apiKey: headers['x-api-key'] };
+  }
+  if (url.searchParams.get('api_key')) {
+    return { scheme: 'apiKey', in: 'query', apiKey: url.searchParams.get('api_key') };
+  }
+  return null;
+}
+
+/**
+ * Route an /auth request
+ * @param {string} method - HTTP method
+ * @param {string} action - login, token, me or revoke
+ * @param {URL} url - Request URL
+ * @param {Object} body - Parsed request body
+ * @param {Object} headers - Request headers
+ * @returns {Array} - [status, body, headers]
+ */
+function routeAuth(method, action, url, body, headers) {
+  if (action === 'login' && method === 'POST') {
+    return body.username && body.password
+      ? [200, { token: issueToken(), expires_in: 3600 }]
+      : [401, { message: 'Invalid credentials' }];
+  }
+  if (action === 'token' && method === 'POST') {
+    if (body.grant_type !== 'client_credentials') {
+      return [400, { error: 'unsupported_grant_type' }];
+    }
+    return body.client_id && body.client_secret
+      ? [200, { access_token: issueToken(), token_type: 'Bearer', expires_in: 3600 }]
+      : [401, { error: 'invalid_client' }];
+  }
+  if (action === 'me' && method === 'GET') {
+    const identity = authenticate(url, headers);
+    return identity ? [200, identity] : [401, { message: 'Not authenticated' }, { 'WWW-Authenticate': 'Bearer' }];
+  }
+  if (action === 'revoke' && method === 'POST') {
+    const revoked = issuedTokens.size;
+    issuedTokens.clear();
+    return [200, { revoked }];
+  }
+  return [404, { message: `No route for ${method} ${url.pathname}` }];
+}
+
+/**
+ * Route a request
+ * @param {string} method - HTTP method
+ * @param {URL} url - Request URL
+ * @param {Object} body - Parsed request body
+ * @param {Object} headers - Request headers
+ * @returns {Array} - [status, body, headers]
+ */
+function route(method, url, body, headers) {
+  const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const [resource, id, nested] = segments;
+
+  if (resource === 'auth' && segments.length === 2) {
+    return routeAuth(method, id, url, body, headers);
+  }
+
+  if (!['users', 'posts'].includes(resource) || segments.length > 3) {
+    return [404, { message: `No route for ${method} ${url.pathname}` }];
+  }
+
+  if (segments.length === 1) {
+    if (method === 'GET') {
+      const { items, headers } = listItems(state[resource], url);
+      return [200, items, headers];
+    }
+    return method === 'POST' ? createItem(resource, body) : [405, { message: `${method} not allowed` }];
+  }
+
+  if (segments.length === 2) {
+    return handleItem(resource, method, id, body);
+  }
+
+  if (resource !== 'posts' || nested !== 'comments') {
+    return [404, { message: `No route for ${method} ${url.pathname}` }];
+  }
+  const post = state.posts.find(item => String(item.id) === id);
+  if (!post) {
+    return [404, { message: `post ${id} not found` }];
+  }
+  if (method === 'GET') {
+    return [200, state.comments.filter(comment => comment.postId === post.id)];
+  }
+  return method === 'POST' ? createItem('comments', body, { postId: post.id }) : [405, { message: `${method} not allowed` }];
+}
+
+/**
+ * Read and parse a JSON request body
+ * The OAuth2 token endpoint takes a form body instead.
+ * @param {http.IncomingMessage} request - Request
+ * @param {URL} url - Request URL
+ * @returns {Promise<Object>} - { body } or { error: [status, body] }
+ */
+function readBody(request, url) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!['POST', 'PUT', 'PATCH'].includes(request.method) || text === '') {
+        resolve({ body: {} });
+        return;
+      }
+      if (url.pathname === '/auth/token' && /application\/x-www-form-urlencoded/i.test(request.headers['content-type'] || '')) {
+        resolve({ body: Object.fromEntries(new URLSearchParams(text)) });
+        return;
+      }
+      if (!/application\/json/i.test(request.headers['content-type'] || '')) {
+        resolve({ error: [415, { message: 'Content-Type must be application/json' }] });
+        return;
+      }
+      try {
+        const body = JSON.parse(text);
+        resolve(body && typeof body === 'object' && !Array.isArray(body)
+          ? { body }
+          : { error: [400, { message: 'Request body must be a JSON object' }] });
+      } catch (error) {
+        resolve({ error: [400, { message: `Invalid JSON body: ${error.message}` }] });
+      }
+    });
+  });
+}
+
+/**
+ * Handle one HTTP request
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ */
+async function handleRequest(request, response) {
+  const url = new URL(request.url, serverUrl);
+  const { body, error } = await readBody(request, url);
+  const [status, responseBody, headers = {}] = error || route(request.method, url, body, request.headers);
+
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  response.end(JSON.stringify(responseBody));
+}
+
+/**
+ * Start the mock server (once per Cypress run)
+ * @param {Object} options - { port (0 for any free port), host, seed (seed file relative to the project) }
+ * @returns {Promise<string>} - Base URL, e.g. http://127.0.0.1:53121
+ */
+function start({ port = 0, host = '127.0.0.1', seed = DEFAULT_SEED_FILE } = {}) {
+  if (server) {
+    return Promise.resolve(serverUrl);
+  }
+  seedFile = seed;
+  reset();
+
+  return new Promise((resolve, reject) => {
+    server = http.createServer((request, response) => {
+      handleRequest(request, response).catch((error) => {
+        response.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify({ message: error.message }));
+      });
+    });
+    server.on('error', reject);
+    server.listen(port, host, () => {
+      // Don't keep the Cypress process alive for the server
+      server.unref();
+      serverUrl = `http://${host}:${server.address().port}`;
+      console.log(`Mock API listening on ${serverUrl}`);
+      resolve(serverUrl);
+    });
+  });
+}
+
+module.exports = {
+  start,
+  reset
+};
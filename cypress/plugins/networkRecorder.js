@@ -0,0 +1,106 @@
+/**
+ * Network Recorder - Storage for recorded XHR/fetch responses
+ *
+ * Responses recorded by networkFixtures.js (networkMode=record) are saved
+ * per page and route alias as cypress/fixtures/network/<page>/<alias>.json:
+ *
+ *   { "route": { method, url }, "recordings": [{ request: { method, url }, response: { statusCode, headers, body } }] }
+ *
+ * One recording is kept per request method and path + query; the first
+ * save of a route in a run replaces the file, so recordings of requests
+ * the app no longer makes are dropped. Headers that describe the original
+ * transfer (length, encoding, dates, cookies) are not stored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RECORDINGS_DIR = path.resolve(__dirname, '../fixtures/network');
+const DROPPED_HEADERS = [
+  'age', 'connection', 'content-encoding', 'content-length', 'date', 'etag',
+  'keep-alive', 'last-modified', 'set-cookie', 'transfer-encoding', 'vary'
+];
+
+// Routes saved during this run: { 'home/featuredItems': { route, recordings } }
+const routes = {};
+
+/**
+ * File of a page's route
+ * @param {string} page - Page name
+ * @param {string} alias - Route alias
+ * @returns {string} - Absolute file path
+ */
+function recordingFile(page, alias) {
+  return path.join(RECORDINGS_DIR, page, `${alias}.json`);
+}
+
+/**
+ * Response headers worth replaying
+ * @param {Object} headers - Recorded headers
+ * @returns {Object} - Headers without transfer details, names lowercased
+ */
+function replayableHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), value])
+    .filter(([name]) => !DROPPED_HEADERS.includes(name)));
+}
+
+/**
+ * Save recorded responses
+ * @param {Array<Object>} entries - [{ page, alias, route, request, response }]
+ * @returns {null} - Cypress tasks must return a value
+ */
+function saveRecordings(entries) {
+  const touched = new Set();
+
+  (entries || []).forEach(({ page, alias, route, request, response }) => {
+    const key = `${page}/${alias}`;
+    routes[key] = routes[key] || { page, alias, route, recordings: [] };
+    routes[key].route = route;
+
+    const recording = { request, response: { ...response, headers: replayableHeaders(response.headers) } };
+    const list = routes[key].recordings;
+    const index = list.findIndex(existing => existing.request.method === request.method && existing.request.url === request.url);
+    if (index === -1) {
+      list.push(recording);
+    } else {
+      list[index] = recording;
+    }
+    touched.add(key);
+  });
+
+  touched.forEach((key) => {
+    const { page, alias, route, recordings } = routes[key];
+    const file = recordingFile(page, alias);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify({ route, recordings }, null, 2)}\n`);
+    console.log(`Network recording saved: ${path.relative(process.cwd(), file)} (${recordings.length})`);
+  });
+  return null;
+}
+
+/**
+ * Load the recordings of a page
+ * @param {string} page - Page name
+ * @returns {Object} - { alias: { route, recordings } } ({} when nothing was recorded)
+ */
+function loadRecordings(page) {
+  const dir = path.join(RECORDINGS_DIR, page);
+  if (!fs.existsSync(dir)) {
+    return {};
+  }
+  return Object.fromEntries(fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map((file) => {
+      try {
+        return [path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))];
+      } catch (error) {
+        throw new Error(`Invalid network recording ${path.join('cypress/fixtures/network', page, file)}: ${error.message}`);
+      }
+    }));
+}
+
+module.exports = {
+  saveRecordings,
+  loadRecordings
+};
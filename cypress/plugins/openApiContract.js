@@ -0,0 +1,444 @@
+/**
+ * OpenAPI Contract - Contract validation and endpoint coverage
+ *
+ * Checks every request made through apiRequest against the matching
+ * operation of a local OpenAPI 3 document (env `openApiSpec`): path and
+ * query parameters, request body, documented status codes and response
+ * body schemas. Only requests to the API the document describes are
+ * checked: the origins of its `servers` and of `apiBaseUrl`. Requests to
+ * other hosts (GraphQL endpoints, third parties) are skipped and left out
+ * of the coverage report. Paths are matched after stripping the base path
+ * of a server URL or of `apiBaseUrl` plus `apiVersion` (e.g. /v1), so the
+ * same document checks every environment. Operations and status codes
+ * exercised during the run are written to cypress/reports/api-coverage.json
+ * at the end of the run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { formatError } = require('./schemaValidator');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+const REPORT_DIR = path.resolve(__dirname, '../reports');
+const DOCUMENT_ID = 'openapi.json';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Loaded document, keyed by file path and modification time
+let spec = null;
+
+// Exercised operations: { 'GET /users/{id}': { 200: 3, 404: 1 } }
+const hits = {};
+
+// Requests that matched no operation: { 'GET /users/me': 1 }
+const undocumented = {};
+
+/**
+ * Escape a string for use in a JSON pointer
+ * @param {string} segment - Pointer segment
+ * @returns {string} - Escaped segment
+ */
+function escapePointer(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Follow local `$ref`s of a parameter, request body or response object
+ * @param {Object} doc - OpenAPI document
+ * @param {Object} node - Object that may be a { $ref }
+ * @param {string} pointer - JSON pointer of the node
+ * @returns {Object} - { node, pointer } of the referenced object
+ */
+function resolveRef(doc, node, pointer) {
+  let current = { node, pointer };
+  while (current.node && current.node.$ref) {
+    const ref = current.node.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local $refs are supported in the OpenAPI document: ${ref}`);
+    }
+    const target = ref.slice(2).split('/')
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((value, segment) => (value ? value[segment] : undefined), doc);
+    current = { node: target, pointer: ref.slice(1) };
+  }
+  return current;
+}
+
+/**
+ * List the operations of the document
+ * @param {Object} doc - OpenAPI document
+ * @returns {Array<Object>} - [{ key, method, path, pointer, pattern, paramNames, operation, parameters }]
+ */
+function listOperations(doc) {
+  const operations = [];
+
+  Object.entries(doc.paths || {}).forEach(([apiPath, pathItem]) => {
+    const pathPointer = `/paths/${escapePointer(apiPath)}`;
+    const paramNames = [];
+    const pattern = new RegExp(`^${apiPath.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (placeholder, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    })}/?$`);
+
+    HTTP_METHODS.filter(method => pathItem[method]).forEach((method) => {
+      const pointer = `${pathPointer}/${method}`;
+      const operation = pathItem[method];
+
+      // Operation-level parameters override path-level ones with the same name and location
+      const parameters = {};
+      [
+        ...(pathItem.parameters || []).map((param, index) => resolveRef(doc, param, `${pathPointer}/parameters/${index}`)),
+        ...(operation.parameters || []).map((param, index) => resolveRef(doc, param, `${pointer}/parameters/${index}`))
+      ].forEach((param) => {
+        parameters[`${param.node.in}:${param.node.name}`] = param;
+      });
+
+      operations.push({
+        key: `${method.toUpperCase()} ${apiPath}`,
+        method,
+        path: apiPath,
+        pointer,
+        pattern,
+        paramNames,
+        operation,
+        parameters: Object.values(parameters)
+      });
+    });
+  });
+
+  // Literal paths win over templated ones ("/users/me" before "/users/{id}")
+  return operations.sort((a, b) => a.paramNames.length - b.paramNames.length);
+}
+
+/**
+ * Load (or reuse) the OpenAPI document
+ * @param {string} specFile - Path of the document, relative to the project root
+ * @returns {Object} - { doc, ajv, coercingAjv, parameterValidators, operations, basePaths, origins }
+ */
+function loadSpec(specFile) {
+  const filePath = path.resolve(ROOT_DIR, specFile);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`OpenAPI document not found: ${filePath}`);
+  }
+
+  const mtime = fs.statSync(filePath).mtimeMs;
+  if (spec && spec.filePath === filePath && spec.mtime === mtime) {
+    return spec;
+  }
+
+  const doc = yaml.load(fs.readFileSync(filePath, 'utf8'));
+  if (!doc || !/^3\./.test(String(doc.openapi))) {
+    throw new Error(`${specFile} is not an OpenAPI 3 document`);
+  }
+
+  // Schemas are validated through JSON pointers into the whole document,
+  // so "#/components/schemas/..." refs resolve. Parameters arrive as strings
+  // and are coerced to their declared types.
+  const createAjv = (options) => {
+    const instance = new Ajv({ allErrors: true, strict: false, ...options });
+    addFormats(instance);
+    instance.addSchema(doc, DOCUMENT_ID);
+    return instance;
+  };
+
+  const basePaths = (doc.servers || [])
+    .map(server => new URL(server.url, 'http://localhost').pathname.replace(/\/$/, ''))
+    .filter(Boolean);
+
+  // Absolute server URLs; templated and relative ones don't name a host
+  const origins = (doc.servers || [])
+    .filter(server => /^https?:\/\/[^{}]+$/.test(server.url))
+    .map(server => new URL(server.url).origin);
+
+  spec = {
+    filePath,
+    mtime,
+    doc,
+    ajv: createAjv({}),
+    coercingAjv: createAjv({ coerceTypes: true }),
+    parameterValidators: {},
+    operations: listOperations(doc),
+    basePaths,
+    origins
+  };
+  return spec;
+}
+
+/**
+ * Validate a value against a schema inside the document
+ * @param {Ajv} ajv - Ajv instance holding the document
+ * @param {string} pointer - JSON pointer of the schema
+ * @param {*} data - Value to validate
+ * @returns {Array<string>} - Violations with JSON paths
+ */
+function validateAt(ajv, pointer, data) {
+  const validator = ajv.getSchema(`${DOCUMENT_ID}#${pointer}`);
+  return validator(data) ? [] : validator.errors.map(formatError);
+}
+
+/**
+ * Pick the JSON media type of a content map
+ * @param {Object} content - OpenAPI content object
+ * @returns {string|undefined} - Media type
+ */
+function jsonMediaType(content = {}) {
+  return Object.keys(content).find(type => /json/.test(type));
+}
+
+/**
+ * Check path and query parameters
+ * @param {Object} loaded - Loaded spec
+ * @param {Object} operation - Matched operation
+ * @param {Object} values - { path: {}, query: {} } values sent
+ * @returns {Array<string>} - Violations
+ */
+function checkParameters(loaded, operation, values) {
+  const errors = [];
+
+  operation.parameters
+    .filter(param => ['path', 'query'].includes(param.node.in))
+    .forEach((param) => {
+      const { name, required, schema } = param.node;
+      const location = param.node.in;
+      const value = values[location][name];
+      const label = `${location} parameter "${name}"`;
+
+      if (value === undefined) {
+        if (required) {
+          errors.push(`${label}: is required`);
+        }
+        return;
+      }
+      if (!schema) {
+        return;
+      }
+
+      // Validate inside an object so string values can be coerced
+      if (!loaded.parameterValidators[param.pointer]) {
+        loaded.parameterValidators[param.pointer] = loaded.coercingAjv.compile({
+          type: 'object',
+          properties: { value: { $ref: `${DOCUMENT_ID}#${param.pointer}/schema` } }
+        });
+      }
+      const validator = loaded.parameterValidators[param.pointer];
+      if (!validator({ value })) {
+        validator.errors.forEach((error) => {
+          errors.push(`${label}: ${error.message} (got ${JSON.stringify(value)})`);
+        });
+      }
+    });
+
+  return errors;
+}
+
+/**
+ * Check the request body
+ * @param {Object} loaded - Loaded spec
+ * @param {Object} operation - Matched operation
+ * @param {*} body - Body sent
+ * @returns {Array<string>} - Violations
+ */
+function checkRequestBody(loaded, operation, body) {
+  if (!operation.operation.requestBody) {
+    return [];
+  }
+
+  const requestBody = resolveRef(loaded.doc, operation.operation.requestBody, `${operation.pointer}/requestBody`);
+  const hasBody = body !== undefined && body !== null && body !== '';
+  if (!hasBody) {
+    return requestBody.node.required ? ['request body: is required'] : [];
+  }
+
+  const mediaType = jsonMediaType(requestBody.node.content);
+  if (!mediaType || !requestBody.node.content[mediaType].schema) {
+    return [];
+  }
+
+  const pointer = `${requestBody.pointer}/content/${escapePointer(mediaType)}/schema`;
+  return validateAt(loaded.ajv, pointer, body).map(error => `request body ${error}`);
+}
+
+/**
+ * Check the response status and body
+ * @param {Object} loaded - Loaded spec
+ * @param {Object} operation - Matched operation
+ * @param {number} status - Response status
+ * @param {*} body - Response body
+ * @returns {Array<string>} - Violations
+ */
+function checkResponse(loaded, operation, status, body) {
+  const responses = operation.operation.responses || {};
+  const statusKey = [String(status), `${String(status)[0]}XX`, 'default'].find(key => responses[key]);
+
+  if (!statusKey) {
+    return [`response status ${status} is not documented (documented: ${Object.keys(responses).join(', ')})`];
+  }
+
+  const response = resolveRef(loaded.doc, responses[statusKey], `${operation.pointer}/responses/${statusKey}`);
+  const mediaType = jsonMediaType(response.node.content);
+  if (!mediaType || !response.node.content[mediaType].schema) {
+    return [];
+  }
+
+  const pointer = `${response.pointer}/content/${escapePointer(mediaType)}/schema`;
+  return validateAt(loaded.ajv, pointer, body).map(error => `response body ${error}`);
+}
+
+/**
+ * Check for an absolute http(s) URL
+ * @param {string} url - URL
+ * @returns {boolean} - True for http:// and https:// URLs
+ */
+function isAbsoluteUrl(url) {
+  return /^https?:\/\//.test(url || '');
+}
+
+/**
+ * Base paths requests may carry in front of the documented paths
+ * The document's server paths, plus the apiBaseUrl path with and without
+ * the apiVersion segment, longest first.
+ * @param {Object} loaded - Loaded document
+ * @param {string} apiBaseUrl - env apiBaseUrl
+ * @param {string} apiVersion - env apiVersion (may be empty)
+ * @returns {Array<string>} - e.g. ['/api/v1', '/api']
+ */
+function listBasePaths(loaded, apiBaseUrl, apiVersion) {
+  const apiPath = isAbsoluteUrl(apiBaseUrl) ? new URL(apiBaseUrl).pathname.replace(/\/+$/, '') : '';
+  const version = String(apiVersion || '').replace(/^\/+|\/+$/g, '');
+  const basePaths = [...loaded.basePaths, apiPath, version ? `${apiPath}/${version}` : ''].filter(Boolean);
+  return [...new Set(basePaths)].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Check whether a request goes to the API the document describes
+ * @param {Object} loaded - Loaded document
+ * @param {URL|null} url - Request URL (null when relative and there is no base URL)
+ * @param {string} apiBaseUrl - env apiBaseUrl
+ * @returns {boolean} - True when the request should be checked
+ */
+function isDocumentedHost(loaded, url, apiBaseUrl) {
+  const origins = [...loaded.origins];
+  if (isAbsoluteUrl(apiBaseUrl)) {
+    origins.push(new URL(apiBaseUrl).origin);
+  }
+  // Nothing to compare against: check everything
+  if (origins.length === 0 || !url) {
+    return true;
+  }
+  return origins.includes(url.origin);
+}
+
+/**
+ * Validate a request/response exchange against the document
+ * Also records the exchange for the coverage report. Requests to hosts the
+ * document doesn't describe are skipped; requests to its hosts that match no
+ * operation come back with `undocumented` set.
+ * @param {Object} exchange - { specFile, method, url, baseUrl, apiBaseUrl, apiVersion, qs, requestBody, status, responseBody }
+ * @returns {Object} - { operation, errors, skipped, undocumented }; operation is null for undocumented or skipped requests
+ */
+function validateExchange(exchange) {
+  const loaded = loadSpec(exchange.specFile);
+  const method = (exchange.method || 'GET').toLowerCase();
+  // Relative URLs are sent to the Cypress baseUrl
+  const base = isAbsoluteUrl(exchange.baseUrl) ? exchange.baseUrl : null;
+  if (!isDocumentedHost(loaded, isAbsoluteUrl(exchange.url) || base ? new URL(exchange.url, base || undefined) : null, exchange.apiBaseUrl)) {
+    return { operation: null, errors: [], skipped: true };
+  }
+  const url = new URL(exchange.url, base || 'http://localhost');
+
+  let apiPath = decodeURI(url.pathname);
+  const basePath = listBasePaths(loaded, exchange.apiBaseUrl, exchange.apiVersion)
+    .find(candidate => apiPath === candidate || apiPath.startsWith(`${candidate}/`));
+  if (basePath) {
+    apiPath = apiPath.slice(basePath.length) || '/';
+  }
+
+  const operation = loaded.operations.find(candidate => candidate.method === method && candidate.pattern.test(apiPath));
+  if (!operation) {
+    const key = `${method.toUpperCase()} ${apiPath}`;
+    undocumented[key] = (undocumented[key] || 0) + 1;
+    return { operation: null, errors: [], undocumented: key };
+  }
+
+  hits[operation.key] = hits[operation.key] || {};
+  hits[operation.key][exchange.status] = (hits[operation.key][exchange.status] || 0) + 1;
+
+  const match = apiPath.match(operation.pattern);
+  const values = {
+    path: Object.fromEntries(operation.paramNames.map((name, index) => [name, decodeURIComponent(match[index + 1])])),
+    query: { ...Object.fromEntries(url.searchParams), ...(exchange.qs || {}) }
+  };
+
+  return {
+    operation: operation.key,
+    errors: [
+      ...checkParameters(loaded, operation, values),
+      ...checkRequestBody(loaded, operation, exchange.requestBody),
+      ...checkResponse(loaded, operation, exchange.status, exchange.responseBody)
+    ]
+  };
+}
+
+/**
+ * Write the API coverage report
+ * Skipped when no request was checked during the run.
+ * @returns {Object|null} - Report contents
+ */
+function writeReport() {
+  if (!spec || (Object.keys(hits).length === 0 && Object.keys(undocumented).length === 0)) {
+    return null;
+  }
+
+  const operations = spec.operations
+    .slice()
+    .sort((a, b) => a.path.localeCompare(b.path) || HTTP_METHODS.indexOf(a.method) - HTTP_METHODS.indexOf(b.method))
+    .map((operation) => {
+      const exercised = hits[operation.key] || {};
+      const documented = Object.keys(operation.operation.responses || {});
+      return {
+        operation: operation.key,
+        operationId: operation.operation.operationId || null,
+        exercised: Object.keys(exercised).length > 0,
+        statuses: {
+          documented,
+          exercised,
+          missing: documented.filter(status => /^\d{3}$/.test(status) && !exercised[status])
+        }
+      };
+    });
+
+  const exercisedCount = operations.filter(operation => operation.exercised).length;
+  const report = {
+    generatedAt: new Date().toISOString(),
+    spec: path.relative(ROOT_DIR, spec.filePath),
+    summary: {
+      operations: operations.length,
+      exercised: exercisedCount,
+      coverage: operations.length ? Math.round((exercisedCount / operations.length) * 1000) / 10 : 0
+    },
+    operations,
+    undocumented
+  };
+
+  fs.mkdirSync(REPORT_DIR, { recursive: true });
+  const reportPath = path.join(REPORT_DIR, 'api-coverage.json');
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+  console.log(`\n[OpenAPI] Coverage: ${exercisedCount}/${operations.length} operations exercised (${report.summary.coverage}%)`);
+  operations.filter(operation => !operation.exercised).forEach((operation) => {
+    console.log(`  never called: ${operation.operation}`);
+  });
+  Object.keys(undocumented).forEach((request) => {
+    console.log(`  undocumented: ${request}`);
+  });
+  console.log(`[OpenAPI] Coverage report written to ${reportPath}\n`);
+
+  return report;
+}
+
+module.exports = {
+  validateExchange,
+  writeReport
+};
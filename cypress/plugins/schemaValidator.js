@@ -0,0 +1,137 @@
+/**
+ * Schema Validator - JSON Schema validation for API responses
+ *
+ * Loads every schema under cypress/schemas into one Ajv instance so `$ref`
+ * between schema files resolves (e.g. "$ref": "address.json"). A schema's
+ * `$id` defaults to its path relative to the schemas folder. Schemas are
+ * reloaded when a file changes, so edits apply without restarting Cypress.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const SCHEMAS_DIR = path.resolve(__dirname, '../schemas');
+
+let ajv = null;
+let loadedSignature = null;
+
+/**
+ * List schema files under a directory
+ * @param {string} dir - Directory to walk
+ * @returns {Array<string>} - Absolute file paths
+ */
+function listSchemaFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).flatMap((entry) => {
+    const fullPath = path.join(dir, entry);
+    if (fs.statSync(fullPath).isDirectory()) {
+      return listSchemaFiles(fullPath);
+    }
+    return entry.endsWith('.json') ? [fullPath] : [];
+  });
+}
+
+/**
+ * Schema id of a file: its path relative to the schemas folder
+ * @param {string} file - Absolute file path
+ * @returns {string} - e.g. "user.json" or "common/address.json"
+ */
+function schemaId(file) {
+  return path.relative(SCHEMAS_DIR, file).split(path.sep).join('/');
+}
+
+/**
+ * Build (or reuse) the Ajv instance holding every schema
+ * @returns {Ajv} - Ajv instance
+ */
+function getAjv() {
+  const files = listSchemaFiles(SCHEMAS_DIR);
+  const signature = files.map(file => `${file}:${fs.statSync(file).mtimeMs}`).join('|');
+  if (ajv && signature === loadedSignature) {
+    return ajv;
+  }
+
+  const instance = new Ajv({ allErrors: true, strict: false });
+  addFormats(instance);
+
+  files.forEach((file) => {
+    let schema;
+    try {
+      schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON in schema ${schemaId(file)}: ${error.message}`);
+    }
+    instance.addSchema({ ...schema, $id: schema.$id || schemaId(file) });
+  });
+
+  ajv = instance;
+  loadedSignature = signature;
+  return ajv;
+}
+
+/**
+ * Convert a JSON pointer to a JSON path
+ * @param {string} pointer - e.g. "/address/geo/0/lat"
+ * @returns {string} - e.g. "$.address.geo[0].lat"
+ */
+function toJsonPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((jsonPath, segment) => {
+      if (/^\d+$/.test(segment)) {
+        return `${jsonPath}[${segment}]`;
+      }
+      return /^[A-Za-z_$][\w$]*$/.test(segment) ? `${jsonPath}.${segment}` : `${jsonPath}['${segment}']`;
+    }, '$');
+}
+
+/**
+ * Describe an Ajv error with the full JSON path of the offending value
+ * @param {Object} error - Ajv error object
+ * @returns {string} - e.g. "$.address.zipcode: must match pattern \"^\\d{5}$\""
+ */
+function formatError(error) {
+  const { params = {} } = error;
+
+  if (error.keyword === 'required') {
+    return `${toJsonPath(`${error.instancePath}/${params.missingProperty}`)}: is required`;
+  }
+  if (error.keyword === 'additionalProperties') {
+    return `${toJsonPath(`${error.instancePath}/${params.additionalProperty}`)}: is not allowed`;
+  }
+  if (error.keyword === 'enum') {
+    return `${toJsonPath(error.instancePath)}: must be one of ${params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+  return `${toJsonPath(error.instancePath)}: ${error.message}`;
+}
+
+/**
+ * Validate data against a named schema
+ * @param {Object} options - { schemaName, data }; schemaName may omit ".json"
+ * @returns {Object} - { valid, errors: [ "$.path: message" ] }
+ */
+function validate({ schemaName, data }) {
+  const id = schemaName.endsWith('.json') ? schemaName : `${schemaName}.json`;
+  const validator = getAjv().getSchema(id);
+
+  if (!validator) {
+    throw new Error(`Schema not found: ${id} (looked in ${SCHEMAS_DIR})`);
+  }
+
+  const valid = validator(data === undefined ? null : data);
+  return {
+    valid,
+    errors: valid ? [] : validator.errors.map(formatError)
+  };
+}
+
+module.exports = {
+  validate,
+  formatError
+};
@@ -5,7 +5,13 @@
  */
 
 import { getElement, getLocator, waitForElement } from './utils/locatorHelper';
-import { apiRequest, apiRequestWithToken, validateStatus } from './utils/apiHelper';
+import { useNetworkRoutes } from './utils/networkFixtures';
+import { waitForNetworkIdle } from './utils/networkIdle';
+import { simulateLatency, simulateServerError, simulateTimeout, simulateNetworkError, goOffline, goOnline } from './utils/faultInjection';
+import { queryAll } from './utils/selectorEngine';
+import { apiRequest, apiRequestWithToken, authenticatedRequest, paginate, validateStatus, validateJsonSchema, matchApiSnapshot } from './utils/apiHelper';
+import { setRetryPolicy } from './utils/retryPolicy';
+import { graphqlRequest, graphqlData, graphqlErrors } from './utils/graphqlHelper';
 import { safeClick, safeType, logStep } from './utils/errorHandler';
 
 // ============================================
@@ -15,33 +21,76 @@ import { safeClick, safeType, logStep } from './utils/errorHandler';
 /**
  * Get element using YAML locator
  * @example cy.getByLocator('login', 'usernameInput')
+ * @example cy.getByLocator('home', 'featuredItem', { id: 3 })
  */
-Cypress.Commands.add('getByLocator', (pageName, elementKey) => {
-  return getElement(pageName, elementKey);
+Cypress.Commands.add('getByLocator', (pageName, elementKey, params = {}) => {
+  return getElement(pageName, elementKey, params);
+});
+
+/**
+ * Find elements with any supported selector strategy (retries like cy.get)
+ * Can be chained off an element to search within it.
+ * @example cy.locate('xpath=//button[@type="submit"]')
+ * @example cy.locate('role=button[name="Login"]')
+ * @example cy.get('form').locate('label=Email')
+ */
+Cypress.Commands.addQuery('locate', function (selector, options = {}) {
+  const log = options.log !== false && Cypress.log({ name: 'locate', message: selector, timeout: options.timeout });
+  
+  if (options.timeout !== undefined) {
+    this.set('timeout', options.timeout);
+  }
+  
+  return (subject) => {
+    const roots = Cypress.dom.isJquery(subject) ? subject.toArray() : [cy.$$('html').get(0).ownerDocument];
+    const elements = roots.flatMap(root => queryAll(root, selector));
+    const $el = Cypress.$(Array.from(new Set(elements)));
+    $el.selector = selector;
+    
+    if (log) {
+      log.set({
+        $el,
+        consoleProps: () => ({ Selector: selector, Yielded: $el.toArray(), Elements: $el.length })
+      });
+    }
+    
+    return $el;
+  };
 });
 
 /**
  * Wait for element using YAML locator
  * @example cy.waitForLocator('login', 'loginButton', 15000)
+ * @example cy.waitForLocator('home', 'featuredItem', 15000, { id: 3 })
  */
-Cypress.Commands.add('waitForLocator', (pageName, elementKey, timeout = 10000) => {
-  return waitForElement(pageName, elementKey, timeout);
+Cypress.Commands.add('waitForLocator', (pageName, elementKey, timeout = 10000, params = {}) => {
+  return waitForElement(pageName, elementKey, timeout, params);
 });
 
 /**
  * Click element using YAML locator
  * @example cy.clickByLocator('login', 'loginButton')
+ * @example cy.clickByLocator('home', 'featuredItem', {}, { id: 3 })
  */
-Cypress.Commands.add('clickByLocator', (pageName, elementKey, options = {}) => {
-  return getElement(pageName, elementKey).click(options);
+Cypress.Commands.add('clickByLocator', (pageName, elementKey, options = {}, params = {}) => {
+  return getElement(pageName, elementKey, params).click(options);
 });
 
 /**
  * Type into element using YAML locator
  * @example cy.typeByLocator('login', 'usernameInput', 'testuser')
  */
-Cypress.Commands.add('typeByLocator', (pageName, elementKey, text, options = {}) => {
-  return getElement(pageName, elementKey).clear().type(text, options);
+Cypress.Commands.add('typeByLocator', (pageName, elementKey, text, options = {}, params = {}) => {
+  return getElement(pageName, elementKey, params).clear().type(text, options);
+});
+
+/**
+ * Intercept a page's network routes (`routes` in its YAML file)
+ * Recorded or replayed depending on env networkMode; yields the aliases
+ * @example cy.useNetworkRoutes('home'); cy.visit('/'); cy.wait('@featuredItems')
+ */
+Cypress.Commands.add('useNetworkRoutes', (pageName) => {
+  return useNetworkRoutes(pageName);
 });
 
 // ============================================
@@ -140,6 +189,57 @@ Cypress.Commands.add('apiRequestWithToken', (options) => {
   return apiRequestWithToken(options, token);
 });
 
+/**
+ * Make API request authenticated with the env auth strategy (or the one given)
+ * @example cy.authenticatedRequest({ method: 'GET', url: '/api/profile' })
+ * @example cy.authenticatedRequest({ method: 'GET', url: '/api/orders' }, { strategy: 'hmac' })
+ */
+Cypress.Commands.add('authenticatedRequest', (options, authConfig) => {
+  return authenticatedRequest(options, authConfig);
+});
+
+/**
+ * Follow a paginated endpoint and yield all items plus per-page metadata
+ * @example cy.apiPaginate({ url: '/api/users' }).its('items').should('have.length', 42)
+ * @example cy.apiPaginate({ url: '/api/events', pagination: { strategy: 'cursor', cursorPath: 'meta.next' } })
+ */
+Cypress.Commands.add('apiPaginate', (options) => {
+  return paginate(options);
+});
+
+/**
+ * Send a GraphQL operation; fails on GraphQL errors unless expectErrors is set
+ * @example cy.graphql({ query: 'user.graphql', variables: { id: 1 } })
+ */
+Cypress.Commands.add('graphql', (options) => {
+  return graphqlRequest(options);
+});
+
+/**
+ * Send a GraphQL operation and yield its data, or a dotted path within it
+ * @example cy.graphqlData({ query: 'user.graphql', variables: { id: 1 } }, 'user.email')
+ */
+Cypress.Commands.add('graphqlData', (options, dataPath) => {
+  return graphqlData(options, dataPath);
+});
+
+/**
+ * Send a GraphQL operation that must fail and yield its errors
+ * @example cy.graphqlErrors({ query: '{ user(id: 1) { unknownField } }' })
+ */
+Cypress.Commands.add('graphqlErrors', (options) => {
+  return graphqlErrors(options);
+});
+
+/**
+ * Set the API retry policy for the rest of the test (call it in beforeEach for a whole spec)
+ * @example cy.setApiRetryPolicy({ retries: 4, baseDelay: 250 })
+ * @example cy.setApiRetryPolicy(false)
+ */
+Cypress.Commands.add('setApiRetryPolicy', (policy) => {
+  setRetryPolicy(policy);
+});
+
 /**
  * Validate API response status
  * @example cy.validateApiStatus(response, 200)
@@ -148,6 +248,22 @@ Cypress.Commands.add('validateApiStatus', (response, expectedStatus) => {
   validateStatus(response, expectedStatus);
 });
 
+/**
+ * Validate API response body against a schema in cypress/schemas
+ * @example cy.validateJsonSchema(response, 'user')
+ */
+Cypress.Commands.add('validateJsonSchema', (response, schemaName) => {
+  return validateJsonSchema(response, schemaName);
+});
+
+/**
+ * Compare an API response body with its snapshot in cypress/snapshots
+ * @example cy.matchApiSnapshot(response, 'user-1', { ignore: ['$.id', '$..createdAt'] })
+ */
+Cypress.Commands.add('matchApiSnapshot', (response, name, options) => {
+  return matchApiSnapshot(response, name, options);
+});
+
 // ============================================
 // UI Utility Commands
 // ============================================
@@ -203,12 +319,66 @@ Cypress.Commands.add('elementExists', (selector) => {
 });
 
 /**
- * Wait for network idle
+ * Wait until no XHR/fetch request has been pending for a quiet period
+ * Fails after the timeout, listing the requests still pending
  * @example cy.waitForNetworkIdle()
+ * @example cy.waitForNetworkIdle({ quietPeriod: 1000, ignore: ['/api/poll'] })
+ */
+Cypress.Commands.add('waitForNetworkIdle', (options = {}) => {
+  return waitForNetworkIdle(options);
+});
+
+// ============================================
+// Network Fault Injection Commands
+// ============================================
+
+/**
+ * Delay the responses of a route (URL pattern or name from env networkRoutes)
+ * @example cy.simulateLatency('featuredItems', 3000)
+ */
+Cypress.Commands.add('simulateLatency', (route, ms, options = {}) => {
+  return simulateLatency(route, ms, options);
+});
+
+/**
+ * Answer a route with an error status
+ * @example cy.simulateServerError('login', 503)
+ * @example cy.simulateServerError('GET **\/api/featured*', 500, { times: 1 })
+ */
+Cypress.Commands.add('simulateServerError', (route, status = 500, options = {}) => {
+  return simulateServerError(route, status, options);
+});
+
+/**
+ * Let a route hang until the app's request timeout fires
+ * @example cy.simulateTimeout('notifications')
+ */
+Cypress.Commands.add('simulateTimeout', (route, options = {}) => {
+  return simulateTimeout(route, options);
+});
+
+/**
+ * Fail a route with a network error
+ * @example cy.simulateNetworkError('login')
+ */
+Cypress.Commands.add('simulateNetworkError', (route, options = {}) => {
+  return simulateNetworkError(route, options);
+});
+
+/**
+ * Take the browser offline (restored after the test)
+ * @example cy.goOffline()
+ */
+Cypress.Commands.add('goOffline', () => {
+  return goOffline();
+});
+
+/**
+ * Bring the browser back online
+ * @example cy.goOnline()
  */
-Cypress.Commands.add('waitForNetworkIdle', (timeout = 5000) => {
-  cy.intercept('**/*').as('networkRequests');
-  cy.wait(timeout);
+Cypress.Commands.add('goOnline', () => {
+  return goOnline();
 });
 
 // ============================================
@@ -16,6 +16,11 @@ import '@cypress/grep';
 
 // Import custom utilities
 import { logStep } from './utils/errorHandler';
+import { flushLocatorUsage } from './utils/locatorHelper';
+import { attachTestHar, flushSpecHar } from './utils/harCapture';
+import { flushNetworkRecordings } from './utils/networkFixtures';
+import { restoreNetwork } from './utils/faultInjection';
+import { resetRetryPolicy } from './utils/retryPolicy';
 
 // Global error handling
 Cypress.on('uncaught:exception', (err, runnable) => {
@@ -41,6 +46,14 @@ beforeEach(() => {
   // Log test start
   const testTitle = Cypress.currentTest?.title || 'Unknown Test';
   cy.task('log', `\n========== Starting Test: ${testTitle} ==========`);
+  
+  // Every test starts from the env retry policy; specs set theirs in beforeEach
+  resetRetryPolicy();
+  
+  // Every test starts from the seeded mock API state (mock config only)
+  if (Cypress.env('mockServer')) {
+    cy.task('mockReset', null, { log: false });
+  }
 });
 
 // After each test
@@ -50,12 +63,31 @@ afterEach(function() {
   
   cy.task('log', `========== Test ${testState.toUpperCase()}: ${testTitle} ==========\n`);
   
+  // Attach the test's API traffic (HAR) to its Allure result
+  attachTestHar();
+  
+  // Undo cy.goOffline() so the next test starts online
+  restoreNetwork();
+  
   // Take screenshot on failure (configured in cypress.config.js)
   if (testState === 'failed') {
-    cy.task('log', `Test failed. Screenshot captured.`);
+    // Rerun with --env dataSeed=<seed> to rebuild the same factory data
+    cy.task('log', `Test failed. Screenshot captured. Data seed: ${Cypress.env('dataSeed')}`);
   }
 });
 
+// After all tests in the spec
+after(() => {
+  // Report which YAML locators this spec used (locator coverage report)
+  flushLocatorUsage();
+  
+  // Write the spec's API traffic to cypress/reports/har
+  flushSpecHar();
+  
+  // Save the UI responses recorded in this spec (networkMode=record)
+  flushNetworkRecordings();
+});
+
 // Global hooks for session management (login/logout once)
 // This preserves the session across tests
 Cypress.Commands.add('loginOnce', (username, password) => {
@@ -1,28 +1,210 @@
 /// <reference types="cypress" />
 
 declare namespace Cypress {
+  /**
+   * Values for {placeholders} in a YAML locator template
+   */
+  type LocatorParams = Record<string, string | number>;
+
+  /**
+   * Request options for cy.apiRequest; `contract: false` skips the
+   * OpenAPI contract check for requests that deliberately break it,
+   * `retry` overrides the retry policy
+   */
+  type ApiRequestOptions = Partial<RequestOptions> & {
+    contract?: boolean;
+    /** Retry policy for this request: retry count, policy, or false for no retries */
+    retry?: number | Partial<RetryPolicy> | boolean;
+  };
+
+  /**
+   * API retry policy (`retries` in cypress/config/<env>.json)
+   */
+  interface RetryPolicy {
+    /** Retries after the first attempt */
+    retries: number;
+    /** First delay in ms */
+    baseDelay: number;
+    /** Delay multiplier per retry */
+    factor: number;
+    /** Delay cap in ms */
+    maxDelay: number;
+    /** Randomized share of the delay (0-1) */
+    jitter: number;
+    /** Statuses worth retrying */
+    retryOn: number[];
+    /** Longest Retry-After (ms) worth waiting for */
+    maxRetryAfter: number;
+    /** Retry when the host can't be reached (ECONNREFUSED, ENOTFOUND, ETIMEDOUT) */
+    retryNetworkErrors: boolean;
+    /** Also retry POST and PATCH */
+    allowNonIdempotent: boolean;
+  }
+
+  /**
+   * Pagination settings for cy.apiPaginate
+   */
+  interface PaginationOptions {
+    /** page/limit parameters, Link rel="next" headers, or cursor tokens (default page) */
+    strategy?: 'page' | 'link' | 'cursor';
+    /** Page number parameter (default page) */
+    pageParam?: string;
+    /** Page size parameter; null to not send one (default limit) */
+    limitParam?: string | null;
+    /** Page size (default: testData.json pagination.pageSize) */
+    pageSize?: number;
+    /** First page number (default: testData.json pagination.defaultPage) */
+    startPage?: number;
+    /** Cursor parameter (default cursor) */
+    cursorParam?: string;
+    /** Dotted path to the next cursor in the body (default nextCursor) */
+    cursorPath?: string;
+    /** Dotted path to the items array (default: the body, or its data/items/results) */
+    itemsPath?: string;
+    /** Stop after this many pages (default 50) */
+    maxPages?: number;
+    /** Assert that all pages but the last are full (default true) */
+    assertPageSize?: boolean;
+  }
+
+  interface PaginatedResult<T = any> {
+    items: T[];
+    pages: Array<{ number: number; url: string; qs?: object; status: number; count: number }>;
+    /** True when maxPages was reached before the last page */
+    truncated: boolean;
+  }
+
+  /**
+   * Options for cy.graphql
+   */
+  type GraphqlOptions = ApiRequestOptions & {
+    /** Query text, or a .graphql file in cypress/fixtures (graphql/ when no folder is given) */
+    query: string;
+    variables?: Record<string, unknown>;
+    operationName?: string;
+    /** Endpoint (default: env graphqlUrl, then {apiBaseUrl}/graphql) */
+    url?: string;
+    /** Expected HTTP status; null to skip the check (default 200) */
+    status?: number | null;
+    /** true to require GraphQL errors, false to forbid them, null to skip the check (default false) */
+    expectErrors?: boolean | null;
+  };
+
+  interface GraphqlError {
+    message: string;
+    path?: Array<string | number>;
+    locations?: Array<{ line: number; column: number }>;
+    extensions?: Record<string, unknown>;
+  }
+
+  interface GraphqlBody<TData> {
+    data?: TData;
+    errors?: GraphqlError[];
+  }
+
+  /**
+   * Options for cy.waitForNetworkIdle (`networkIdle` env value)
+   */
+  interface NetworkIdleOptions {
+    /** Time in ms without request activity that counts as idle (default 500) */
+    quietPeriod?: number;
+    /** Give up after this many ms (default 10000) */
+    timeout?: number;
+    /** Extra requests to disregard: globs, substrings or RegExps matched against the URL */
+    ignore?: Array<string | RegExp>;
+    /** Log the wait in the command log (default true) */
+    log?: boolean;
+  }
+
+  /**
+   * Network route: "METHOD pattern", a bare cy.intercept glob, { method, url },
+   * or the name of a route in the `networkRoutes` env value
+   */
+  type NetworkRoute = string | { method?: string; url: string };
+
+  interface FaultOptions {
+    /** Only affect this many matching requests */
+    times?: number;
+    /** Intercept alias (default: the route name, or "fault") */
+    alias?: string;
+  }
+
+  type AuthStrategy = 'none' | 'bearer' | 'oauth2' | 'apiKey' | 'basic' | 'hmac';
+
+  /**
+   * API auth config (`auth` in cypress/config/<env>.json)
+   */
+  interface AuthConfig {
+    strategy: AuthStrategy;
+    /** bearer: login endpoint (default /auth/login) */
+    loginPath?: string;
+    /** bearer/oauth2: refresh endpoint taking { refreshToken } */
+    refreshPath?: string;
+    /** oauth2: token endpoint */
+    tokenUrl?: string;
+    /** oauth2: client id (default: CYPRESS_OAUTH_CLIENT_ID) */
+    clientId?: string;
+    /** oauth2: requested scope */
+    scope?: string;
+    /** apiKey/hmac: header name */
+    header?: string;
+    /** apiKey: send the key as a query parameter instead of a header */
+    in?: 'header' | 'query';
+    /** apiKey: query parameter name (default api_key) */
+    name?: string;
+    /** apiKey: env variable holding the key (default API_KEY) */
+    keyEnv?: string;
+    /** hmac: hash algorithm (default sha256) */
+    algorithm?: string;
+    /**
+     * oauth2/hmac: env name of the secret, kept in the Node process
+     * (default OAUTH_CLIENT_SECRET for oauth2, API_SECRET for hmac)
+     */
+    secretEnv?: string;
+    /** Seconds before expiry a cached token is refreshed (default 30) */
+    expirySkew?: number;
+  }
+
   interface Chainable {
     /**
      * Get element using YAML locator
      * @param pageName - Name of the page (matches YAML filename)
      * @param elementKey - Key of the element in YAML
+     * @param params - Values for {placeholders} in the selector
      */
-    getByLocator(pageName: string, elementKey: string): Chainable<JQuery<HTMLElement>>;
+    getByLocator(pageName: string, elementKey: string, params?: LocatorParams): Chainable<JQuery<HTMLElement>>;
+
+    /**
+     * Find elements with any supported selector strategy:
+     * CSS, xpath=, text=, role=, label=, placeholder=, testid=, alt=
+     * When chained off an element, searches within it.
+     */
+    locate(selector: string, options?: Partial<Loggable & Timeoutable>): Chainable<JQuery<HTMLElement>>;
 
     /**
      * Wait for element using YAML locator
+     * @param params - Values for {placeholders} in the selector
      */
-    waitForLocator(pageName: string, elementKey: string, timeout?: number): Chainable<JQuery<HTMLElement>>;
+    waitForLocator(pageName: string, elementKey: string, timeout?: number, params?: LocatorParams): Chainable<JQuery<HTMLElement>>;
 
     /**
      * Click element using YAML locator
+     * @param params - Values for {placeholders} in the selector
      */
-    clickByLocator(pageName: string, elementKey: string, options?: Partial<ClickOptions>): Chainable<JQuery<HTMLElement>>;
+    clickByLocator(pageName: string, elementKey: string, options?: Partial<ClickOptions>, params?: LocatorParams): Chainable<JQuery<HTMLElement>>;
 
     /**
      * Type into element using YAML locator
+     * @param params - Values for {placeholders} in the selector
+     */
+    typeByLocator(pageName: string, elementKey: string, text: string, options?: Partial<TypeOptions>, params?: LocatorParams): Chainable<JQuery<HTMLElement>>;
+
+    /**
+     * Intercept the network routes of a page (`routes` in its YAML file);
+     * recorded or replayed depending on env networkMode (live, record, replay)
+     * @returns Route aliases, for cy.wait('@alias')
      */
-    typeByLocator(pageName: string, elementKey: string, text: string, options?: Partial<TypeOptions>): Chainable<JQuery<HTMLElement>>;
+    useNetworkRoutes(pageName: string): Chainable<string[]>;
 
     /**
      * Login via UI
@@ -45,20 +227,70 @@ declare namespace Cypress {
     logout(): Chainable<void>;
 
     /**
-     * Make API request
+     * Make API request (checked against the OpenAPI contract when configured)
      */
-    apiRequest(options: Partial<Cypress.RequestOptions>): Chainable<Cypress.Response<any>>;
+    apiRequest(options: ApiRequestOptions): Chainable<Cypress.Response<any>>;
 
     /**
      * Make authenticated API request
      */
-    apiRequestWithToken(options: Partial<Cypress.RequestOptions>): Chainable<Cypress.Response<any>>;
+    apiRequestWithToken(options: ApiRequestOptions): Chainable<Cypress.Response<any>>;
+
+    /**
+     * Make API request authenticated with the auth strategy of the env config
+     * (or the one given); a 401 is replayed once with fresh credentials
+     * @param authConfig - Auth config or strategy name (default: env `auth`)
+     */
+    authenticatedRequest(options: ApiRequestOptions, authConfig?: AuthConfig | AuthStrategy): Chainable<Cypress.Response<any>>;
+
+    /**
+     * Follow a paginated endpoint until it is exhausted
+     */
+    apiPaginate<T = any>(options: ApiRequestOptions & { pagination?: PaginationOptions }): Chainable<PaginatedResult<T>>;
+
+    /**
+     * Send a GraphQL operation; fails on GraphQL errors unless expectErrors is set
+     */
+    graphql<TData = any>(options: GraphqlOptions): Chainable<Cypress.Response<GraphqlBody<TData>>>;
+
+    /**
+     * Send a GraphQL operation and yield its data, or a dotted path within it
+     */
+    graphqlData<T = any>(options: GraphqlOptions, dataPath?: string): Chainable<T>;
+
+    /**
+     * Send a GraphQL operation that must fail and yield its errors
+     * (HTTP status not checked unless `status` is given)
+     */
+    graphqlErrors(options: GraphqlOptions): Chainable<GraphqlError[]>;
+
+    /**
+     * Set the API retry policy for the rest of the test (call it in beforeEach for a whole spec)
+     * @param policy - Retry count, policy, or false for no retries
+     */
+    setApiRetryPolicy(policy: number | Partial<RetryPolicy> | boolean): Chainable<void>;
 
     /**
      * Validate API response status
      */
     validateApiStatus(response: Cypress.Response<any>, expectedStatus: number): Chainable<void>;
 
+    /**
+     * Validate an API response body (or plain data) against a JSON Schema
+     * in cypress/schemas; failures list the JSON path of every violation
+     * @param schemaName - Schema file name, with or without ".json"
+     */
+    validateJsonSchema<T>(response: T, schemaName: string): Chainable<T>;
+
+    /**
+     * Compare an API response body (or plain data) with its snapshot in
+     * cypress/snapshots/<env> (env snapshotEnv, else configFile); written when missing (fails instead in CI), rewritten
+     * with the `updateSnapshots` env flag, otherwise fails with a structural diff
+     * @param name - Snapshot name, unique within the spec
+     * @param options.ignore - JSONPaths whose values are not compared (e.g. '$..createdAt')
+     */
+    matchApiSnapshot<T>(response: T, name: string, options?: { ignore?: string[] }): Chainable<T>;
+
     /**
      * Safe click with error handling
      */
@@ -85,9 +317,43 @@ declare namespace Cypress {
     elementExists(selector: string): Chainable<boolean>;
 
     /**
-     * Wait for network idle
+     * Wait until no XHR/fetch request has been pending for the quiet period;
+     * fails after the timeout, listing the requests still pending
+     * @param options - Timeout in ms, or idle options (default: env `networkIdle`)
+     */
+    waitForNetworkIdle(options?: number | NetworkIdleOptions): Chainable<null>;
+
+    /**
+     * Delay the responses of a route
+     * @param route - URL pattern ("GET **\/api/items*"), { method, url }, or a name from env `networkRoutes`
+     */
+    simulateLatency(route: NetworkRoute, ms: number, options?: FaultOptions): Chainable<null>;
+
+    /**
+     * Answer a route with an error status instead of calling the backend
+     * @param status - HTTP status (default 500)
+     */
+    simulateServerError(route: NetworkRoute, status?: number, options?: FaultOptions & { body?: unknown; headers?: Record<string, string>; delay?: number }): Chainable<null>;
+
+    /**
+     * Let a route hang: the app's request timeout fires first, or a 504 arrives after `delay` (default 60000 ms)
+     */
+    simulateTimeout(route: NetworkRoute, options?: FaultOptions & { delay?: number }): Chainable<null>;
+
+    /**
+     * Fail a route at the network level
+     */
+    simulateNetworkError(route: NetworkRoute, options?: FaultOptions): Chainable<null>;
+
+    /**
+     * Take the browser offline; restored automatically after the test
+     */
+    goOffline(): Chainable<null>;
+
+    /**
+     * Bring the browser back online
      */
-    waitForNetworkIdle(timeout?: number): Chainable<void>;
+    goOnline(): Chainable<null>;
 
     /**
      * Take full page screenshot
@@ -0,0 +1,203 @@
+/**
+ * API Client - Resource-oriented wrapper around apiHelper
+ *
+ * Builds URLs from `apiBaseUrl` and `apiVersion` (cypress/config/*.json)
+ * so specs address resources instead of concatenating URLs by hand.
+ * Every request goes through apiRequest, so logging and OpenAPI contract
+ * checks still apply. With the `auth` option requests go through
+ * authenticatedRequest instead.
+ *
+ * @example
+ *   const api = new ApiClient();
+ *   const posts = api.resource('posts');
+ *   posts.list({ userId: 1 });          // GET  {base}/{version}/posts?userId=1
+ *   posts.get(1);                       // GET  {base}/{version}/posts/1
+ *   posts.sub(1, 'comments').list();    // GET  {base}/{version}/posts/1/comments
+ */
+
+const { apiRequest, authenticatedRequest } = require('./apiHelper');
+
+/**
+ * Join URL segments with single slashes
+ * @param {...string} segments - URL parts
+ * @returns {string} - Joined URL
+ */
+function joinUrl(...segments) {
+  return segments
+    .filter(segment => segment !== undefined && segment !== null && segment !== '')
+    .map((segment, index) => {
+      const text = String(segment);
+      return index === 0 ? text.replace(/\/+$/, '') : text.replace(/^\/+|\/+$/g, '');
+    })
+    .join('/');
+}
+
+class ApiResource {
+  /**
+   * @param {ApiClient} client - Client the resource belongs to
+   * @param {string} path - Resource path relative to the versioned base URL
+   */
+  constructor(client, path) {
+    this.client = client;
+    this.path = path;
+  }
+
+  /**
+   * URL of the collection or of one item
+   * @param {string|number} id - Item ID (omit for the collection)
+   * @returns {string} - Full URL
+   */
+  url(id) {
+    const itemPath = id === undefined ? this.path : joinUrl(this.path, encodeURIComponent(id));
+    return this.client.url(itemPath);
+  }
+
+  /**
+   * List the collection
+   * @param {Object} query - Query parameters
+   * @param {Object} options - Extra request options (headers, contract, ...)
+   * @returns {Cypress.Chainable} - Response
+   */
+  list(query = {}, options = {}) {
+    return this.client.request({ method: 'GET', url: this.url(), qs: query, ...options });
+  }
+
+  /**
+   * Get one item
+   * @param {string|number} id - Item ID
+   * @param {Object} options - Extra request options
+   * @returns {Cypress.Chainable} - Response
+   */
+  get(id, options = {}) {
+    return this.client.request({ method: 'GET', url: this.url(id), ...options });
+  }
+
+  /**
+   * Create an item
+   * @param {Object} body - Request body
+   * @param {Object} options - Extra request options
+   * @returns {Cypress.Chainable} - Response
+   */
+  create(body, options = {}) {
+    return this.client.request({ method: 'POST', url: this.url(), body, ...options });
+  }
+
+  /**
+   * Replace an item
+   * @param {string|number} id - Item ID
+   * @param {Object} body - Request body
+   * @param {Object} options - Extra request options
+   * @returns {Cypress.Chainable} - Response
+   */
+  update(id, body, options = {}) {
+    return this.client.request({ method: 'PUT', url: this.url(id), body, ...options });
+  }
+
+  /**
+   * Partially update an item
+   * @param {string|number} id - Item ID
+   * @param {Object} body - Fields to change
+   * @param {Object} options - Extra request options
+   * @returns {Cypress.Chainable} - Response
+   */
+  patch(id, body, options = {}) {
+    return this.client.request({ method: 'PATCH', url: this.url(id), body, ...options });
+  }
+
+  /**
+   * Delete an item
+   * @param {string|number} id - Item ID
+   * @param {Object} options - Extra request options
+   * @returns {Cypress.Chainable} - Response
+   */
+  remove(id, options = {}) {
+    return this.client.request({ method: 'DELETE', url: this.url(id), ...options });
+  }
+
+  /**
+   * Nested resource of one item
+   * @param {string|number} id - Parent item ID
+   * @param {string} name - Nested resource name
+   * @returns {ApiResource} - e.g. posts.sub(1, 'comments') -> /posts/1/comments
+   */
+  sub(id, name) {
+    return new ApiResource(this.client, joinUrl(this.path, encodeURIComponent(id), name));
+  }
+}
+
+class ApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - API base URL (default: env apiBaseUrl)
+   * @param {string} options.version - API version segment (default: env apiVersion; '' for none)
+   * @param {Object} options.headers - Headers sent with every request
+   * @param {boolean|Object|string} options.auth - true for the env auth strategy, or an auth config / strategy name
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * API base URL, read when a request is made so env changes apply
+   * @returns {string} - Base URL
+   */
+  get baseUrl() {
+    const baseUrl = this.options.baseUrl || Cypress.env('apiBaseUrl');
+    if (!baseUrl) {
+      throw new Error('ApiClient: no base URL. Set apiBaseUrl in cypress/config/<env>.json or pass { baseUrl }.');
+    }
+    return baseUrl;
+  }
+
+  /**
+   * API version segment
+   * @returns {string} - Version (may be empty)
+   */
+  get version() {
+    return this.options.version !== undefined ? this.options.version : Cypress.env('apiVersion');
+  }
+
+  /**
+   * Full URL of a path
+   * @param {string} path - Path relative to the versioned base URL
+   * @returns {string} - Full URL
+   */
+  url(path = '') {
+    return joinUrl(this.baseUrl, this.version, path);
+  }
+
+  /**
+   * Resource accessor
+   * @param {string} path - Resource path (e.g. 'posts' or 'admin/users')
+   * @returns {ApiResource} - Resource
+   */
+  resource(path) {
+    return new ApiResource(this, path);
+  }
+
+  /**
+   * Send a request with the client's default headers (and auth, if set)
+   * @param {Object} options - apiRequest options
+   * @returns {Cypress.Chainable} - Response
+   */
+  request(options) {
+    const requestOptions = {
+      ...options,
+      headers: {
+        ...this.options.headers,
+        ...options.headers
+      }
+    };
+    
+    const { auth } = this.options;
+    if (!auth) {
+      return apiRequest(requestOptions);
+    }
+    return authenticatedRequest(requestOptions, auth === true ? undefined : auth);
+  }
+}
+
+module.exports = {
+  ApiClient,
+  ApiResource
+};
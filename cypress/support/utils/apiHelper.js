@@ -5,17 +5,117 @@
  * authentication, and response validation.
  */
 
+const { getAuthConfig, applyAuth, canReplay } = require('./authStrategies');
+const { recordExchange } = require('./harCapture');
+const { resolvePolicy, retriesNetworkErrors, nextRetry, nextNetworkRetry } = require('./retryPolicy');
+const testData = require('../../fixtures/testData.json');
+
 const API_TIMEOUT = 30000;
 
+// Pagination defaults; page size and first page come from testData.json
+const PAGINATION_DEFAULTS = {
+  strategy: 'page',
+  pageParam: 'page',
+  limitParam: 'limit',
+  pageSize: testData.pagination.pageSize,
+  startPage: testData.pagination.defaultPage,
+  cursorParam: 'cursor',
+  cursorPath: 'nextCursor',
+  itemsPath: null,
+  maxPages: 50,
+  assertPageSize: true
+};
+
 /**
- * Base API request method
- * @param {Object} options - Request options
+ * Check a request/response exchange against the OpenAPI document
+ * Only runs when the `openApiSpec` env variable points at a document, and
+ * only for requests to its `servers` or to apiBaseUrl. Checked exchanges
+ * are always recorded for the API coverage report. A request to those hosts
+ * that matches no documented operation is a violation too (only logged when
+ * the contract is not enforced).
+ * @param {Object} options - Request options sent
+ * @param {Object} response - API response
+ * @param {boolean} enforce - Fail the test on contract violations
+ * @returns {Cypress.Chainable} - Task result
+ */
+function checkContract(options, response, enforce) {
+  const specFile = Cypress.env('openApiSpec');
+  if (!specFile) {
+    return cy.wrap(null, { log: false });
+  }
+  
+  return cy.task('validateApiContract', {
+    specFile,
+    method: options.method || 'GET',
+    url: options.url,
+    baseUrl: Cypress.config('baseUrl'),
+    apiBaseUrl: Cypress.env('apiBaseUrl'),
+    apiVersion: Cypress.env('apiVersion'),
+    qs: options.qs,
+    requestBody: options.body,
+    status: response.status,
+    responseBody: response.body
+  }, { log: false }).then((result) => {
+    if (result.undocumented) {
+      const message = `${result.undocumented} is not in ${specFile}`;
+      if (enforce) {
+        throw new Error(`Contract violation: ${message}; document it or pass contract: false`);
+      }
+      Cypress.log({ name: 'contract', message: `undocumented: ${message}`, consoleProps: () => result });
+    }
+    if (enforce && result.errors.length > 0) {
+      const details = result.errors.map(error => `  - ${error}`).join('\n');
+      throw new Error(`Contract violation for ${result.operation}:\n${details}`);
+    }
+    return result;
+  });
+}
+
+/**
+ * Log a retry to the terminal, the command log and the Allure report
+ * @param {string} message - Retry description
+ */
+function logRetry(message) {
+  cy.task('log', message);
+  cy.log(message);
+  cy.allure().logStep(message);
+}
+
+/**
+ * Check that the host of a request accepts connections
+ * Probed from Node, only for requests whose connection failures the policy
+ * retries; relative URLs go to the Cypress baseUrl.
+ * @param {Object} policy - Full retry policy
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {Cypress.Chainable<string|null>} - Connection error code, or null
+ */
+function probeConnection(policy, method, url) {
+  const baseUrl = Cypress.config('baseUrl');
+  const target = /^https?:\/\//.test(url) ? url : (baseUrl ? new URL(url, baseUrl).toString() : null);
+  if (!target || !retriesNetworkErrors(policy, method)) {
+    return cy.wrap(null, { log: false });
+  }
+  return cy.task('probeConnection', { url: target }, { log: false }).then(result => (result.connected ? null : result.error));
+}
+
+/**
+ * Send a request with the default options, log it and record it in the HAR
+ * Failed attempts, and hosts that refuse the connection, are retried
+ * according to the retry policy (see retryPolicy.js).
+ * @param {Object} options - Request options (plus optional `retry` policy)
  * @returns {Cypress.Chainable} - Cypress request response
  */
-function apiRequest(options) {
+function sendRequest(options) {
+  const { retry, ...requestOptions } = options;
+  const policy = resolvePolicy(retry);
+  const method = (requestOptions.method || 'GET').toUpperCase();
+  
   const defaultOptions = {
     timeout: API_TIMEOUT,
     failOnStatusCode: false,
+    // Connection failures are retried by the policy (probeConnection), not by cy.request
+    retryOnNetworkFailure: false,
     headers: {
       'Content-Type': 'application/json',
       'Accept': 'application/json'
@@ -24,19 +124,60 @@ function apiRequest(options) {
 
   const mergedOptions = {
     ...defaultOptions,
-    ...options,
+    ...requestOptions,
     headers: {
       ...defaultOptions.headers,
-      ...options.headers
+      ...requestOptions.headers
     }
   };
 
-  return cy.request(mergedOptions).then((response) => {
-    // Log request details for debugging
-    cy.task('log', `API Request: ${options.method || 'GET'} ${options.url}`);
-    cy.task('log', `Response Status: ${response.status}`);
-    
-    return response;
+  const retryAfter = (retryNumber, next) => {
+    logRetry(`Retry ${retryNumber}/${policy.retries}: ${method} ${mergedOptions.url} (${next.reason}), waiting ${next.delay}ms`);
+    cy.wait(next.delay, { log: false });
+    return attempt(retryNumber + 1);
+  };
+  
+  const attempt = (retryNumber) => {
+    return probeConnection(policy, method, mergedOptions.url).then((error) => {
+      const networkRetry = error && nextNetworkRetry(policy, method, error, retryNumber);
+      if (networkRetry) {
+        return retryAfter(retryNumber, networkRetry);
+      }
+      
+      // Out of retries, an unreachable host fails cy.request with its connection error
+      return cy.request(mergedOptions).then((response) => {
+        // Log request details for debugging
+        cy.task('log', `API Request: ${method} ${mergedOptions.url}`);
+        cy.task('log', `Response Status: ${response.status}`);
+        
+        // Full exchange goes to the HAR report
+        recordExchange(mergedOptions, response);
+        
+        const next = nextRetry(policy, method, response, retryNumber);
+        if (!next) {
+          return cy.wrap(response, { log: false });
+        }
+        return retryAfter(retryNumber, next);
+      });
+    });
+  };
+  
+  return attempt(1);
+}
+
+/**
+ * Base API request method
+ * Requests are checked against the OpenAPI contract when one is configured;
+ * pass `contract: false` for requests that deliberately break it. `retry`
+ * overrides the retry policy for this request (a number, a policy object or false).
+ * @param {Object} options - Request options (plus optional `contract` and `retry`)
+ * @returns {Cypress.Chainable} - Cypress request response
+ */
+function apiRequest(options) {
+  const { contract = true, ...requestOptions } = options;
+  
+  return sendRequest(requestOptions).then((response) => {
+    return checkContract(requestOptions, response, contract !== false).then(() => response);
   });
 }
 
@@ -158,6 +299,8 @@ function validateResponseProperties(response, properties) {
 
 /**
  * Validate response schema
+ * Only checks the `typeof` of top-level properties.
+ * @deprecated Use validateJsonSchema with a schema from cypress/schemas
  * @param {Object} response - API response
  * @param {Object} schema - Expected schema object
  */
@@ -168,6 +311,58 @@ function validateSchema(response, schema) {
   });
 }
 
+/**
+ * Validate a response (or any value) against a JSON Schema
+ * Schemas live in cypress/schemas and may `$ref` each other; validation
+ * runs in the Node process. Every violation is reported with its JSON path.
+ * @param {Object} response - API response (its body is validated) or plain data
+ * @param {string} schemaName - Schema file name, with or without ".json"
+ * @returns {Cypress.Chainable<Object>} - The response, for chaining
+ */
+function validateJsonSchema(response, schemaName) {
+  const isResponse = response && typeof response === 'object' && 'status' in response && 'body' in response;
+  const data = isResponse ? response.body : response;
+  
+  return cy.task('validateJsonSchema', { schemaName, data }, { log: false }).then((result) => {
+    const details = result.errors.map(error => `  - ${error}`).join('\n');
+    expect(result.valid, `Response does not match schema "${schemaName}":\n${details}`).to.be.true;
+    return response;
+  });
+}
+
+/**
+ * Compare a response body with its stored snapshot
+ * Snapshots are stored by the Node process under cypress/snapshots/<env>
+ * (env snapshotEnv, else configFile), as every environment serves its own data; a
+ * missing snapshot is written (in CI it fails the test instead), and the
+ * `updateSnapshots` env flag rewrites existing ones instead of comparing.
+ * @param {Object} response - API response (its body is compared) or plain data
+ * @param {string} name - Snapshot name, unique within the spec
+ * @param {Object} options - { ignore: JSONPaths whose values are not compared }
+ * @returns {Cypress.Chainable<Object>} - The response, for chaining
+ */
+function matchApiSnapshot(response, name, options = {}) {
+  const isResponse = response && typeof response === 'object' && 'status' in response && 'body' in response;
+  const update = [true, 'true'].includes(Cypress.env('updateSnapshots'));
+  
+  return cy.task('matchApiSnapshot', {
+    env: Cypress.env('snapshotEnv') || Cypress.env('configFile'),
+    spec: Cypress.spec.relative,
+    name,
+    body: isResponse ? response.body : response,
+    ignore: options.ignore || [],
+    update
+  }, { log: false }).then((result) => {
+    Cypress.log({ name: 'snapshot', message: `${name}: ${result.status}`, consoleProps: () => result });
+    
+    expect(result.status, `API snapshot "${name}" missing (${result.file}); snapshots are not written in CI. Record it locally or with --env updateSnapshots=true and commit it`).not.to.eq('missing');
+    
+    const details = result.diff.map(line => `  - ${line}`).join('\n');
+    expect(result.status, `API snapshot "${name}" (${result.file}) differs; rerun with --env updateSnapshots=true to accept the change:\n${details}`).not.to.eq('mismatch');
+    return response;
+  });
+}
+
 /**
  * Get authentication token via login API
  * @param {string} loginUrl - Login endpoint URL
@@ -204,40 +399,246 @@ function getStoredAuthToken() {
 }
 
 /**
- * Make authenticated request using stored token
- * @param {Object} options - Request options
+ * Make authenticated request
+ * Uses the auth strategy of the environment config (`auth` in
+ * cypress/config/<env>.json) or the one passed in. A 401 answer drops the
+ * cached credentials and the request is replayed once with fresh ones.
+ * Without a strategy, the token stored by storeAuthToken is sent.
+ * @param {Object} options - Request options (plus optional `contract: false`)
+ * @param {Object|string} authConfig - Auth config or strategy name (default: env `auth`)
  * @returns {Cypress.Chainable} - Response
  */
-function authenticatedRequest(options) {
-  const token = getStoredAuthToken();
-  if (!token) {
-    throw new Error('No auth token stored. Please login first.');
+function authenticatedRequest(options, authConfig) {
+  const config = getAuthConfig(authConfig);
+  if (!config) {
+    const token = getStoredAuthToken();
+    if (!token) {
+      throw new Error('No auth token stored. Please login first.');
+    }
+    return apiRequestWithToken(options, token);
   }
-  return apiRequestWithToken(options, token);
+  
+  const { contract = true, ...requestOptions } = options;
+  const attempt = (number) => {
+    return applyAuth(requestOptions, config, number).then(sendRequest);
+  };
+  
+  return attempt(0)
+    .then((response) => {
+      if (response.status === 401 && canReplay(config)) {
+        cy.log(`**401** - refreshing ${config.strategy} credentials and replaying the request`);
+        return attempt(1);
+      }
+      return response;
+    })
+    .then((response) => {
+      return checkContract(requestOptions, response, contract !== false).then(() => response);
+    });
 }
 
 /**
  * Retry API request on failure
+ * Same as apiRequest with a `retry` policy. The numeric form (the default,
+ * 3 attempts) keeps its original behaviour for existing callers: any 5xx is
+ * retried for every method, with a fixed delay.
  * @param {Object} options - Request options
- * @param {number} maxRetries - Maximum retry attempts
- * @param {number} delay - Delay between retries in ms
+ * @param {Object|number} policy - Retry policy, or maximum attempts
+ * @param {number} delay - Delay between attempts in ms (numeric form only)
  * @returns {Cypress.Chainable} - Response
  */
-function retryRequest(options, maxRetries = 3, delay = 1000) {
-  let attempts = 0;
+function retryRequest(options, policy = 3, delay = 1000) {
+  const retry = typeof policy === 'number'
+    ? {
+      retries: Math.max(0, policy - 1),
+      baseDelay: delay,
+      factor: 1,
+      jitter: 0,
+      retryOn: Array.from({ length: 100 }, (value, index) => 500 + index),
+      allowNonIdempotent: true
+    }
+    : policy;
+  return apiRequest({ ...options, retry });
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string} dottedPath - e.g. "meta.nextCursor"
+ * @returns {*} - Value, or undefined when missing
+ */
+function readPath(object, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Items of one page
+ * Without an `itemsPath`, an array body is the page, otherwise its
+ * `data`, `items` or `results` array.
+ * @param {*} body - Response body
+ * @param {string} itemsPath - Dotted path to the items array
+ * @returns {Array} - Items
+ */
+function pageItems(body, itemsPath) {
+  const items = itemsPath
+    ? readPath(body, itemsPath)
+    : [body, body && body.data, body && body.items, body && body.results].find(Array.isArray);
+  if (!Array.isArray(items)) {
+    throw new Error(`Pagination: no items array found in the response${itemsPath ? ` at "${itemsPath}"` : ''}`);
+  }
+  return items;
+}
+
+/**
+ * Absolute URL a request is sent to
+ * cy.request resolves relative URLs against the Cypress baseUrl.
+ * @param {string} url - Request URL
+ * @returns {string} - Absolute URL
+ */
+function absoluteRequestUrl(url) {
+  if (/^https?:\/\//.test(url)) {
+    return url;
+  }
+  const baseUrl = Cypress.config('baseUrl');
+  if (!baseUrl) {
+    throw new Error(`Pagination: cannot resolve the Link header of the relative URL "${url}" without a baseUrl`);
+  }
+  return new URL(url, baseUrl).toString();
+}
+
+/**
+ * URL of the rel="next" entry of a Link header
+ * @param {string} linkHeader - e.g. '<https://api/x?page=2>; rel="next", <...>; rel="last"'
+ * @param {string} requestUrl - URL the header was received from (may be relative), for relative links
+ * @returns {string|null} - Next page URL
+ */
+function nextLink(linkHeader, requestUrl) {
+  const next = String(linkHeader || '')
+    .split(',')
+    .map(part => part.match(/<([^>]+)>\s*;.*rel="?([^";]+)"?/))
+    .find(match => match && match[2].split(/\s+/).includes('next'));
+  if (!next) {
+    return null;
+  }
+  return /^https?:\/\//.test(next[1]) ? next[1] : new URL(next[1], absoluteRequestUrl(requestUrl)).toString();
+}
+
+/**
+ * Per strategy: first(request, settings) builds the first page request and
+ * next(request, response, items, settings) the next one (null when done)
+ */
+const PAGINATION_STRATEGIES = {
+  page: {
+    first: (request, settings) => ({
+      ...request,
+      qs: {
+        ...request.qs,
+        [settings.pageParam]: settings.startPage,
+        ...(settings.limitParam ? { [settings.limitParam]: settings.pageSize } : {})
+      }
+    }),
+    next: (request, response, items, settings) => {
+      // Without a limit parameter the server's page size is unknown: stop at the first empty page
+      if (!items.length || (settings.limitParam && items.length < settings.pageSize)) {
+        return null;
+      }
+      return { ...request, qs: { ...request.qs, [settings.pageParam]: Number(request.qs[settings.pageParam]) + 1 } };
+    }
+  },
+
+  link: {
+    first: (request, settings) => ({
+      ...request,
+      qs: { ...request.qs, ...(settings.limitParam ? { [settings.limitParam]: settings.pageSize } : {}) }
+    }),
+    next: (request, response) => {
+      const url = nextLink(response.headers.link, response.redirectedToUrl || request.url);
+      // The link carries the whole query string
+      return url ? { ...request, url, qs: undefined } : null;
+    }
+  },
+
+  cursor: {
+    first: (request, settings) => ({
+      ...request,
+      qs: { ...request.qs, ...(settings.limitParam ? { [settings.limitParam]: settings.pageSize } : {}) }
+    }),
+    next: (request, response, items, settings) => {
+      const cursor = readPath(response.body, settings.cursorPath);
+      return cursor ? { ...request, qs: { ...request.qs, [settings.cursorParam]: cursor } } : null;
+    }
+  }
+};
+
+/**
+ * Assert that every page but the last is full and the last is not larger
+ * The expected size is the page size sent, or the first page's size when
+ * no limit parameter is sent. A trailing empty page only marks the end.
+ * @param {Array<Object>} pages - Page metadata
+ * @param {Object} settings - Pagination settings
+ */
+function assertPageSizes(pages, settings) {
+  const expectedSize = settings.limitParam ? settings.pageSize : pages[0].count;
+  const checked = pages.length > 1 && pages[pages.length - 1].count === 0 ? pages.slice(0, -1) : pages;
+  checked.forEach((page, index) => {
+    if (index < checked.length - 1) {
+      expect(page.count, `Page ${page.number} size`).to.eq(expectedSize);
+    } else {
+      expect(page.count, `Last page (${page.number}) size`).to.be.at.most(expectedSize);
+    }
+  });
+}
+
+/**
+ * Follow a paginated endpoint until it is exhausted
+ * Every page goes through apiRequest, so contract checks, retries and the
+ * HAR apply per page.
+ * @param {Object} options - Request options for the first page, plus `pagination`:
+ *   strategy ('page' | 'link' | 'cursor'), pageParam, limitParam (null to not
+ *   send one), pageSize, startPage, cursorParam, cursorPath, itemsPath,
+ *   maxPages, assertPageSize
+ * @returns {Cypress.Chainable<Object>} - { items, pages: [{ number, url, qs, status, count }], truncated }
+ */
+function paginate(options) {
+  const { pagination = {}, ...requestOptions } = options;
+  const settings = { ...PAGINATION_DEFAULTS, ...pagination };
+  const strategy = PAGINATION_STRATEGIES[settings.strategy];
+  if (!strategy) {
+    throw new Error(`Unknown pagination strategy "${settings.strategy}" (available: ${Object.keys(PAGINATION_STRATEGIES).join(', ')})`);
+  }
   
-  const makeRequest = () => {
-    attempts++;
-    return apiRequest(options).then((response) => {
-      if (response.status >= 500 && attempts < maxRetries) {
-        cy.wait(delay);
-        return makeRequest();
+  const result = { items: [], pages: [], truncated: false };
+  
+  const finish = () => {
+    if (settings.assertPageSize && result.pages.length) {
+      assertPageSizes(result.pages, settings);
+    }
+    return cy.wrap(result, { log: false });
+  };
+  
+  const fetchPage = (request, number) => {
+    return apiRequest(request).then((response) => {
+      if (response.status >= 400) {
+        throw new Error(`Pagination stopped: page ${number} (${request.url}) returned status ${response.status}`);
       }
-      return response;
+      
+      const items = pageItems(response.body, settings.itemsPath);
+      result.items.push(...items);
+      result.pages.push({ number, url: request.url, qs: request.qs, status: response.status, count: items.length });
+      
+      const next = strategy.next(request, response, items, settings);
+      if (!next) {
+        return finish();
+      }
+      if (number >= settings.maxPages) {
+        result.truncated = true;
+        cy.task('log', `Pagination stopped at maxPages (${settings.maxPages}): ${requestOptions.url} has more pages`);
+        return finish();
+      }
+      return fetchPage(next, number + 1);
     });
   };
   
-  return makeRequest();
+  return fetchPage(strategy.first({ method: 'GET', ...requestOptions }, settings), 1);
 }
 
 /**
@@ -275,10 +676,13 @@ module.exports = {
   validateStatus,
   validateResponseProperties,
   validateSchema,
+  validateJsonSchema,
+  matchApiSnapshot,
   getAuthToken,
   storeAuthToken,
   getStoredAuthToken,
   authenticatedRequest,
   retryRequest,
+  paginate,
   uploadFile
 };
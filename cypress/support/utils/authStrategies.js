@@ -0,0 +1,261 @@
+/**
+ * Auth Strategies - Pluggable authentication for API requests
+ *
+ * The strategy comes from the `auth` object of cypress/config/<env>.json
+ * (or is passed per request). Supported strategies:
+ *   - none     No authentication
+ *   - bearer   POST username/password to `loginPath`, send "Authorization: Bearer <token>"
+ *   - oauth2   Client credentials grant against `tokenUrl` (requested by the Node process)
+ *   - apiKey   API key (CYPRESS_API_KEY) in a header or query parameter
+ *   - basic    "Authorization: Basic" from the username/password env values
+ *   - hmac     Requests signed with CYPRESS_API_SECRET (see cypress/plugins/apiAuth.js)
+ *
+ * Tokens are cached in the Node process until they expire, refreshed
+ * automatically, and dropped when a request is answered with 401. Secrets
+ * never reach the browser: they are looked up in the Node process by env
+ * name (see cypress/plugins/apiAuth.js).
+ */
+
+// Refresh tokens this many seconds before they expire
+const DEFAULT_EXPIRY_SKEW = 30;
+
+// Strategies whose credentials can change, so a 401 is worth one replay
+const REPLAYABLE = ['bearer', 'oauth2', 'hmac'];
+
+/**
+ * Normalize an auth config
+ * @param {Object|string} override - Config or strategy name (default: env `auth`)
+ * @returns {Object|null} - { strategy, ... } or null when no strategy is configured
+ */
+function getAuthConfig(override) {
+  const config = override || Cypress.env('auth');
+  if (!config) {
+    return null;
+  }
+  return typeof config === 'string' ? { strategy: config } : config;
+}
+
+/**
+ * Resolve a path against apiBaseUrl
+ * @param {string} path - Absolute URL or path
+ * @returns {string} - Absolute URL
+ */
+function resolveUrl(path) {
+  if (/^https?:\/\//.test(path)) {
+    return path;
+  }
+  return `${(Cypress.env('apiBaseUrl') || '').replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Add headers to request options
+ * @param {Object} options - Request options
+ * @param {Object} headers - Headers to add
+ * @returns {Object} - New request options
+ */
+function withHeaders(options, headers) {
+  return { ...options, headers: { ...options.headers, ...headers } };
+}
+
+/**
+ * Expiry time of a token
+ * Uses `expires_in` from the token response, then the JWT `exp` claim.
+ * @param {Object} body - Token response body
+ * @param {string} token - Token
+ * @returns {number|null} - Expiry timestamp in ms, or null when unknown
+ */
+function tokenExpiry(body, token) {
+  const expiresIn = body.expires_in || body.expiresIn;
+  if (expiresIn) {
+    return Date.now() + Number(expiresIn) * 1000;
+  }
+
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    // Not a JWT: valid until the API answers 401
+    return null;
+  }
+}
+
+/**
+ * Read the token from a token endpoint response
+ * @param {Object} response - Response
+ * @param {string} label - Request description for errors
+ * @returns {Object} - { token, refreshToken, expiresAt }
+ */
+function readToken(response, label) {
+  if (response.status >= 400) {
+    throw new Error(`${label} failed with status ${response.status}`);
+  }
+
+  const body = response.body || {};
+  const token = body.token || body.accessToken || body.access_token;
+  if (!token) {
+    throw new Error(`${label}: no token found in response`);
+  }
+
+  return {
+    token,
+    refreshToken: body.refresh_token || body.refreshToken || null,
+    expiresAt: tokenExpiry(body, token)
+  };
+}
+
+// Token requests per strategy, each yielding { token, refreshToken, expiresAt }
+const TOKEN_REQUESTS = {
+  bearer(config) {
+    return cy.request({
+      method: 'POST',
+      url: resolveUrl(config.loginPath || '/auth/login'),
+      body: {
+        username: Cypress.env('username'),
+        password: Cypress.env('password')
+      },
+      failOnStatusCode: false
+    }).then(response => readToken(response, 'Bearer login'));
+  },
+
+  oauth2(config) {
+    if (!config.tokenUrl) {
+      throw new Error('OAuth2 auth needs a "tokenUrl" in the auth config');
+    }
+    // Sent from Node, which holds the client secret
+    return cy.task('requestOAuthToken', {
+      tokenUrl: resolveUrl(config.tokenUrl),
+      clientId: config.clientId || Cypress.env('OAUTH_CLIENT_ID'),
+      scope: config.scope,
+      secretEnv: config.secretEnv
+    }, { log: false }).then(response => readToken(response, 'OAuth2 token request'));
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token
+ * @param {Object} config - Auth config with `refreshPath`
+ * @param {string} refreshToken - Refresh token
+ * @returns {Cypress.Chainable<Object>} - { token, refreshToken, expiresAt }
+ */
+function requestRefreshedToken(config, refreshToken) {
+  return cy.request({
+    method: 'POST',
+    url: resolveUrl(config.refreshPath),
+    body: { refreshToken },
+    failOnStatusCode: false
+  }).then((response) => {
+    // A rejected refresh token falls back to a full login
+    return response.status >= 400 ? TOKEN_REQUESTS[config.strategy](config) : readToken(response, 'Token refresh');
+  });
+}
+
+/**
+ * Get a valid token, from the cache when possible
+ * @param {Object} config - Auth config
+ * @param {boolean} forceRefresh - Ignore the cached token (after a 401)
+ * @returns {Cypress.Chainable<string>} - Token
+ */
+function getToken(config, forceRefresh = false) {
+  const key = [config.strategy, Cypress.env('apiBaseUrl'), Cypress.env('username') || config.clientId || ''].join('|');
+  const skew = (config.expirySkew !== undefined ? config.expirySkew : DEFAULT_EXPIRY_SKEW) * 1000;
+
+  // After a 401 the cached token is dropped, so no other request reuses it
+  const cachedToken = forceRefresh
+    ? cy.task('clearAuthToken', key, { log: false })
+    : cy.task('getCachedAuthToken', key, { log: false });
+
+  return cachedToken.then((cached) => {
+    const valid = cached && (!cached.expiresAt || cached.expiresAt - skew > Date.now());
+    if (valid) {
+      return cached.token;
+    }
+
+    const fetchToken = cached && cached.refreshToken && config.refreshPath
+      ? requestRefreshedToken(config, cached.refreshToken)
+      : TOKEN_REQUESTS[config.strategy](config);
+
+    return fetchToken.then((entry) => {
+      return cy.task('cacheAuthToken', { key, entry }, { log: false }).then(() => entry.token);
+    });
+  });
+}
+
+// Request decorators per strategy: (options, config, attempt) => Chainable<options>
+const STRATEGIES = {
+  none(options) {
+    return cy.wrap(options, { log: false });
+  },
+
+  bearer(options, config, attempt) {
+    return getToken(config, attempt > 0).then(token => withHeaders(options, { Authorization: `Bearer ${token}` }));
+  },
+
+  oauth2(options, config, attempt) {
+    return getToken(config, attempt > 0).then(token => withHeaders(options, { Authorization: `Bearer ${token}` }));
+  },
+
+  apiKey(options, config) {
+    const apiKey = Cypress.env(config.keyEnv || 'API_KEY');
+    if (!apiKey) {
+      throw new Error(`API key auth needs CYPRESS_${config.keyEnv || 'API_KEY'} to be set`);
+    }
+    if (config.in === 'query') {
+      return cy.wrap({ ...options, qs: { ...options.qs, [config.name || 'api_key']: apiKey } }, { log: false });
+    }
+    return cy.wrap(withHeaders(options, { [config.header || 'X-API-Key']: apiKey }), { log: false });
+  },
+
+  basic(options) {
+    const credentials = btoa(`${Cypress.env('username')}:${Cypress.env('password')}`);
+    return cy.wrap(withHeaders(options, { Authorization: `Basic ${credentials}` }), { log: false });
+  },
+
+  hmac(options, config) {
+    return cy.task('signApiRequest', {
+      method: options.method || 'GET',
+      url: options.url,
+      baseUrl: Cypress.config('baseUrl'),
+      qs: options.qs,
+      body: options.body,
+      algorithm: config.algorithm,
+      secretEnv: config.secretEnv
+    }, { log: false }).then(({ timestamp, signature }) => {
+      return withHeaders(options, {
+        ...(Cypress.env('API_KEY') ? { 'X-Api-Key': Cypress.env('API_KEY') } : {}),
+        'X-Timestamp': timestamp,
+        [config.header || 'X-Signature']: signature
+      });
+    });
+  }
+};
+
+/**
+ * Apply an auth strategy to request options
+ * @param {Object} options - Request options
+ * @param {Object} config - Auth config from getAuthConfig
+ * @param {number} attempt - 0 for the first try, 1 for the replay after a 401
+ * @returns {Cypress.Chainable<Object>} - Authenticated request options
+ */
+function applyAuth(options, config, attempt = 0) {
+  const strategy = STRATEGIES[config.strategy];
+  if (!strategy) {
+    throw new Error(`Unknown auth strategy "${config.strategy}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  // Relative URLs go to apiBaseUrl, like loginPath; the HMAC signature covers the URL actually sent
+  return strategy({ ...options, url: resolveUrl(options.url) }, config, attempt);
+}
+
+/**
+ * Check whether a 401 should be retried with fresh credentials
+ * @param {Object} config - Auth config
+ * @returns {boolean} - True for token and signing strategies
+ */
+function canReplay(config) {
+  return REPLAYABLE.includes(config.strategy);
+}
+
+module.exports = {
+  getAuthConfig,
+  applyAuth,
+  canReplay
+};
@@ -0,0 +1,56 @@
+/**
+ * Data Driven - One test per row of a data table
+ *
+ * Tables live in cypress/fixtures/tables (CSV, JSON or YAML) and are loaded
+ * by cypress/plugins/dataTables.js before the specs run. Each row becomes
+ * an it() titled with the row's `name` and tagged with its `tags`, so
+ * @cypress/grep can select single rows. Row tags are not written in the
+ * spec file, so grepFilterSpecs can't see them; setupNodeEvents keeps
+ * data-driven specs in the run and their rows are filtered at run time.
+ *
+ * @example
+ *   dataDriven('create user', 'users-cases.csv', (row) => {
+ *     users.create(row.body || {}).its('status').should('be.oneOf', row.expectedStatus);
+ *   });
+ */
+
+/**
+ * Rows of a table
+ * @param {string} table - Table file name relative to cypress/fixtures/tables
+ * @returns {Array<Object>} - Rows { name, tags, expectedStatus, ... }
+ */
+function getTableRows(table) {
+  const tables = Cypress.env('dataTables') || {};
+  if (!tables[table]) {
+    const available = Object.keys(tables).join(', ') || 'none';
+    throw new Error(`Data table "${table}" not found in cypress/fixtures/tables (available: ${available})`);
+  }
+  return tables[table];
+}
+
+/**
+ * Declare one test per table row, grouped in a describe()
+ * Rows with `skip: true` are declared as pending.
+ * @param {string} title - Group title
+ * @param {string} table - Table file name relative to cypress/fixtures/tables
+ * @param {Object|Function} options - Group options ({ tags, filter }) or the test body
+ * @param {Function} testFn - Test body, called with the row
+ */
+function dataDriven(title, table, options, testFn) {
+  const { tags = [], filter = () => true, ...config } = typeof options === 'function' ? {} : options;
+  const body = typeof options === 'function' ? options : testFn;
+  const rows = getTableRows(table).filter(filter);
+
+  describe(title, { tags, ...config }, () => {
+    rows.forEach((row) => {
+      const expects = row.expectedStatus.length ? ` (expects ${row.expectedStatus.join(' or ')})` : '';
+      const declare = [true, 'true'].includes(row.skip) ? it.skip : it;
+      declare(`${row.name}${expects}`, { tags: row.tags }, () => body(row));
+    });
+  });
+}
+
+module.exports = {
+  dataDriven,
+  getTableRows
+};
@@ -0,0 +1,274 @@
+/**
+ * Data Factory - Seeded test data built on the JSON fixtures
+ *
+ * Factories start from cypress/fixtures/users.json and testData.json and
+ * fill in unique names, usernames and emails, so data created by one run
+ * never collides with another run's on APIs that enforce uniqueness:
+ *
+ *   build('user')                                  // { name, username, email, phone, website }
+ *   build('user', 'admin', 'withAddress')          // with traits
+ *   build('user', { name: 'Ann Lee' })             // with overrides (deep-merged)
+ *   buildList('post', 5, { userId: 3 })
+ *
+ * Values come from a generator seeded with the run's `dataSeed` env value
+ * (picked in setupNodeEvents and printed at the start of the run), the spec,
+ * the test title and the retry attempt. Rerunning with --env dataSeed=<seed>
+ * rebuilds exactly the same data for every test and attempt, even when the
+ * test runs alone, while a retry never reuses the usernames and emails its
+ * failed attempt may already have created.
+ */
+
+const users = require('../../fixtures/users.json');
+const testData = require('../../fixtures/testData.json');
+
+const FIRST_NAMES = [
+  'Ava', 'Ben', 'Chloe', 'Dario', 'Elena', 'Farid', 'Grace', 'Hugo', 'Ines', 'Jonas',
+  'Kira', 'Liam', 'Maya', 'Noah', 'Olga', 'Pablo', 'Quinn', 'Rosa', 'Sami', 'Tara'
+];
+const LAST_NAMES = [
+  'Adler', 'Brooks', 'Costa', 'Duarte', 'Evans', 'Fischer', 'Garcia', 'Hayes', 'Ito', 'Jensen',
+  'Kowalski', 'Lopez', 'Moreau', 'Nakamura', 'Okafor', 'Patel', 'Quint', 'Rossi', 'Schmidt', 'Tanaka'
+];
+const STREETS = ['Oak Street', 'Maple Avenue', 'Harbor Road', 'Hillside Drive', 'Mill Lane', 'Station Road'];
+const CITIES = ['Springfield', 'Riverton', 'Lakewood', 'Fairview', 'Greenville', 'Bridgeport'];
+const COMPANY_SUFFIXES = ['Labs', 'Systems', 'Group', 'Studio', 'Works', 'Partners'];
+const WORDS = [
+  'quality', 'release', 'feature', 'customer', 'report', 'update', 'review', 'project', 'team', 'data',
+  'service', 'workflow', 'insight', 'planning', 'support', 'launch', 'design', 'metric', 'roadmap', 'change'
+];
+
+// Generator of the current test; reseeded when the test changes
+let generator = { key: null, next: null, sequence: 0 };
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed of this run
+ * @returns {number} - env dataSeed (0 when unset)
+ */
+function getDataSeed() {
+  return Number(Cypress.env('dataSeed')) || 0;
+}
+
+/**
+ * Generator for the running test attempt (spec level outside tests)
+ * @returns {Object} - { key, next, sequence }
+ */
+function currentGenerator() {
+  const titlePath = (Cypress.currentTest && Cypress.currentTest.titlePath) || [];
+  // Each retry gets its own data: the failed attempt may have created its users already
+  const attempt = titlePath.length ? [`attempt ${Cypress.currentRetry || 0}`] : [];
+  const key = [getDataSeed(), Cypress.spec.relative, ...titlePath, ...attempt].join(' > ');
+  if (generator.key !== key) {
+    generator = { key, next: mulberry32(hashString(key)), sequence: 0 };
+  }
+  return generator;
+}
+
+/**
+ * Random integer
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value (inclusive)
+ * @returns {number} - Integer
+ */
+function integer(min, max) {
+  return min + Math.floor(currentGenerator().next() * (max - min + 1));
+}
+
+/**
+ * Random list item
+ * @param {Array} list - Items
+ * @returns {*} - Item
+ */
+function pick(list) {
+  return list[integer(0, list.length - 1)];
+}
+
+/**
+ * Random base-36 token
+ * @param {number} length - Characters
+ * @returns {string} - e.g. "k3x9qa"
+ */
+function token(length) {
+  return Array.from({ length }, () => integer(0, 35).toString(36)).join('');
+}
+
+/**
+ * Random digits
+ * @param {number} length - Digits
+ * @returns {string} - e.g. "4821"
+ */
+function digits(length) {
+  return Array.from({ length }, () => integer(0, 9)).join('');
+}
+
+/**
+ * Random sentence
+ * @param {number} count - Words
+ * @returns {string} - Capitalized words
+ */
+function sentence(count) {
+  const text = Array.from({ length: count }, () => pick(WORDS)).join(' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Factories: `build(sequence)` makes the default object, traits return the
+ * fields they add or change. Sequence numbers count builds within a test.
+ */
+const FACTORIES = {
+  user: {
+    build: (sequence) => {
+      const first = pick(FIRST_NAMES);
+      const last = pick(LAST_NAMES);
+      const tag = `${token(6)}${sequence}`;
+      return {
+        name: `${first} ${last}`,
+        username: `${first}${last}_${tag}`.toLowerCase(),
+        email: `${first}.${last}.${tag}@example.com`.toLowerCase(),
+        phone: digits(10),
+        website: users.newUser.website
+      };
+    },
+    traits: {
+      admin: () => ({ role: users.adminUser.role }),
+      withAddress: () => ({
+        address: {
+          ...users.newUser.address,
+          street: `${integer(1, 999)} ${pick(STREETS)}`,
+          suite: `Apt ${integer(1, 99)}`,
+          city: pick(CITIES),
+          zipcode: digits(5)
+        }
+      }),
+      withCompany: () => ({
+        company: { ...users.newUser.company, name: `${pick(LAST_NAMES)} ${pick(COMPANY_SUFFIXES)}` }
+      })
+    }
+  },
+
+  post: {
+    build: sequence => ({
+      ...testData.posts.validPost,
+      title: `${sentence(4)} ${sequence}`,
+      body: `${sentence(12)}.`
+    }),
+    traits: {
+      longBody: () => ({ body: Array.from({ length: 5 }, () => `${sentence(12)}.`).join('\n') })
+    }
+  },
+
+  comment: {
+    build: (sequence) => {
+      const first = pick(FIRST_NAMES);
+      return {
+        postId: 1,
+        name: sentence(3),
+        email: `${first}.${token(6)}${sequence}@example.com`.toLowerCase(),
+        body: `${sentence(10)}.`
+      };
+    },
+    traits: {}
+  }
+};
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value
+ * @returns {boolean} - True for non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge overrides into an object
+ * Nested objects are merged; other values replace; undefined removes a field.
+ * @param {Object} target - Base object
+ * @param {Object} overrides - Overrides
+ * @returns {Object} - Merged copy
+ */
+function deepMerge(target, overrides) {
+  const merged = { ...target };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value === undefined) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = deepMerge(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Build one object
+ * @param {string} name - Factory name (user, post, comment)
+ * @param {...(string|Object)} args - Trait names and override objects, applied in order
+ * @returns {Object} - Built object
+ */
+function build(name, ...args) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown factory "${name}" (available: ${Object.keys(FACTORIES).join(', ')})`);
+  }
+
+  const state = currentGenerator();
+  state.sequence += 1;
+
+  return args.reduce((built, arg) => {
+    if (typeof arg === 'string') {
+      if (!factory.traits[arg]) {
+        throw new Error(`Unknown trait "${arg}" for ${name} (available: ${Object.keys(factory.traits).join(', ') || 'none'})`);
+      }
+      return deepMerge(built, factory.traits[arg](built));
+    }
+    return isPlainObject(arg) ? deepMerge(built, arg) : built;
+  }, factory.build(state.sequence));
+}
+
+/**
+ * Build several objects
+ * @param {string} name - Factory name
+ * @param {number} count - Number of objects
+ * @param {...(string|Object)} args - Trait names and overrides for every object
+ * @returns {Array<Object>} - Built objects
+ */
+function buildList(name, count, ...args) {
+  return Array.from({ length: count }, () => build(name, ...args));
+}
+
+module.exports = {
+  build,
+  buildList,
+  getDataSeed
+};
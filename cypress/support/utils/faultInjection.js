@@ -0,0 +1,217 @@
+/**
+ * Fault Injection - Force the network failures the UI must handle
+ *
+ * Routes are a URL pattern ("**\/api/featured*", optionally prefixed with
+ * a method: "POST **\/api/auth/login"), a { method, url } object, or the
+ * name of a route in the `networkRoutes` env value:
+ *
+ *   cy.simulateServerError('login', 503);
+ *   cy.simulateLatency('GET **\/api/featured*', 3000);
+ *
+ * Faults are intercepts, so they last for the rest of the test (or for
+ * `times` matching requests) and take precedence over earlier intercepts,
+ * including recorded network routes. Page objects intercept their routes
+ * on every visit(), so faults for requests made while the page loads are
+ * injected through visit({ beforeVisit }). Intercepts are aliased with the
+ * route name ("fault" for patterns) for cy.wait.
+ */
+
+const { parseRoute } = require('./networkFixtures');
+
+const DEFAULT_TIMEOUT_DELAY = 60000;
+
+// Whether goOffline() is in effect, and whether the browser was taken offline through CDP
+const offlineState = {
+  offline: false,
+  emulated: false
+};
+
+/**
+ * Resolve a route to an intercept matcher
+ * @param {string|Object} route - Pattern, { method, url }, or a name from env networkRoutes
+ * @param {Object} options - { times }
+ * @returns {Object} - { matcher, alias }
+ */
+function resolveFaultRoute(route, options = {}) {
+  const namedRoutes = Cypress.env('networkRoutes') || {};
+  const isNamed = typeof route === 'string' && namedRoutes[route] !== undefined;
+  const { method, url } = parseRoute(isNamed ? route : 'fault', isNamed ? namedRoutes[route] : route);
+
+  const matcher = method === '*' ? { url } : { method, url };
+  if (options.times) {
+    matcher.times = options.times;
+  }
+  return { matcher, alias: options.alias || (isNamed ? route : 'fault') };
+}
+
+/**
+ * Log an injected fault
+ * @param {string} name - Command name
+ * @param {string|Object} route - Route as given
+ * @param {string} detail - What is injected
+ */
+function logFault(name, route, detail) {
+  Cypress.log({ name, message: `${typeof route === 'string' ? route : JSON.stringify(route)} → ${detail}` });
+}
+
+/**
+ * Delay the responses of a route (real or stubbed)
+ * @param {string|Object} route - Route
+ * @param {number} ms - Delay in ms
+ * @param {Object} options - { times, alias }
+ * @returns {Cypress.Chainable} - Intercept
+ */
+function simulateLatency(route, ms, options = {}) {
+  const { matcher, alias } = resolveFaultRoute(route, options);
+  logFault('simulateLatency', route, `+${ms}ms`);
+  return cy.intercept(matcher, (req) => {
+    req.on('response', (res) => {
+      res.setDelay(ms);
+    });
+  }).as(alias);
+}
+
+/**
+ * Answer a route with an error status instead of calling the backend
+ * @param {string|Object} route - Route
+ * @param {number} status - HTTP status (default 500)
+ * @param {Object} options - { body, headers, delay, times, alias }
+ * @returns {Cypress.Chainable} - Intercept
+ */
+function simulateServerError(route, status = 500, options = {}) {
+  const { matcher, alias } = resolveFaultRoute(route, options);
+  logFault('simulateServerError', route, status);
+  const response = {
+    statusCode: status,
+    body: options.body !== undefined ? options.body : { message: `Simulated server error (${status})` }
+  };
+  if (options.headers) {
+    response.headers = options.headers;
+  }
+  if (options.delay) {
+    response.delay = options.delay;
+  }
+  return cy.intercept(matcher, response).as(alias);
+}
+
+/**
+ * Let a route hang: the app's own request timeout fires first, or a 504
+ * arrives after `delay`
+ * @param {string|Object} route - Route
+ * @param {Object} options - { delay (default 60000), times, alias }
+ * @returns {Cypress.Chainable} - Intercept
+ */
+function simulateTimeout(route, options = {}) {
+  const { matcher, alias } = resolveFaultRoute(route, options);
+  const delay = options.delay || DEFAULT_TIMEOUT_DELAY;
+  logFault('simulateTimeout', route, `no response for ${delay}ms`);
+  return cy.intercept(matcher, {
+    statusCode: 504,
+    body: { message: 'Simulated gateway timeout' },
+    delay
+  }).as(alias);
+}
+
+/**
+ * Fail a route at the network level (connection refused/reset)
+ * @param {string|Object} route - Route
+ * @param {Object} options - { times, alias }
+ * @returns {Cypress.Chainable} - Intercept
+ */
+function simulateNetworkError(route, options = {}) {
+  const { matcher, alias } = resolveFaultRoute(route, options);
+  logFault('simulateNetworkError', route, 'network error');
+  return cy.intercept(matcher, { forceNetworkError: true }).as(alias);
+}
+
+/**
+ * Send a Chrome DevTools Protocol command
+ * @param {string} command - CDP command
+ * @param {Object} params - Parameters
+ * @returns {Promise} - Command result
+ */
+function sendCdp(command, params) {
+  return Cypress.automation('remote:debugger:protocol', { command, params });
+}
+
+/**
+ * Switch the browser's network connection on or off
+ * Chromium browsers are taken offline through CDP (navigator.onLine and
+ * the online/offline events follow); elsewhere the events are dispatched
+ * and navigator.onLine is overridden. In every browser, requests from the
+ * app fail with a network error while offline.
+ * @param {boolean} offline - True to go offline
+ * @returns {Cypress.Chainable} - Resolves when the switch is done
+ */
+function setOffline(offline) {
+  // State changes happen when the command runs, not when it is queued
+  return cy.window({ log: false }).then((win) => {
+    const wasOffline = offlineState.offline;
+    offlineState.offline = offline;
+
+    if (offline && !wasOffline) {
+      cy.intercept('**', (req) => {
+        if (offlineState.offline) {
+          req.reply({ forceNetworkError: true });
+        }
+      }).as('offline');
+    }
+
+    if (Cypress.isBrowser({ family: 'chromium' })) {
+      offlineState.emulated = offline;
+      const conditions = { offline, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+      return cy.wrap(sendCdp('Network.enable').then(() => sendCdp('Network.emulateNetworkConditions', conditions)), { log: false });
+    }
+
+    Object.defineProperty(win.navigator, 'onLine', { configurable: true, get: () => !offlineState.offline });
+    win.dispatchEvent(new win.Event(offline ? 'offline' : 'online'));
+    return cy.wrap(null, { log: false });
+  });
+}
+
+/**
+ * Take the browser offline
+ * @returns {Cypress.Chainable} - Resolves when offline
+ */
+function goOffline() {
+  Cypress.log({ name: 'goOffline', message: '' });
+  return setOffline(true);
+}
+
+/**
+ * Bring the browser back online
+ * @returns {Cypress.Chainable} - Resolves when online
+ */
+function goOnline() {
+  Cypress.log({ name: 'goOnline', message: '' });
+  return setOffline(false);
+}
+
+/**
+ * Bring the browser back online after a test that went offline
+ * Called from the support file's afterEach() hook; CDP network conditions
+ * would otherwise outlive the test.
+ * @returns {Cypress.Chainable} - Resolves when restored
+ */
+function restoreNetwork() {
+  return cy.wrap(null, { log: false }).then(() => {
+    const { emulated } = offlineState;
+    offlineState.offline = false;
+    offlineState.emulated = false;
+    if (!emulated) {
+      return null;
+    }
+    const conditions = { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+    return cy.wrap(sendCdp('Network.emulateNetworkConditions', conditions), { log: false });
+  });
+}
+
+module.exports = {
+  simulateLatency,
+  simulateServerError,
+  simulateTimeout,
+  simulateNetworkError,
+  goOffline,
+  goOnline,
+  restoreNetwork
+};
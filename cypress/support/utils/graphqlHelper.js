@@ -0,0 +1,146 @@
+/**
+ * GraphQL Helper - GraphQL requests on top of apiRequest
+ *
+ * Queries are written inline or kept in .graphql files under
+ * cypress/fixtures/graphql. The HTTP status and the GraphQL `errors` array
+ * are asserted separately: a GraphQL API usually answers 200 even when the
+ * operation failed.
+ *
+ * @example
+ *   cy.graphql({ query: 'user.graphql', variables: { id: 1 } });
+ *   cy.graphqlData({ query: 'user.graphql', variables: { id: 1 } }, 'user.name');
+ *   cy.graphqlErrors({ query: '{ user(id: 1) { nope } }', status: 400 });
+ */
+
+const { apiRequest } = require('./apiHelper');
+
+const QUERY_FILE = /\.(graphql|gql)$/;
+
+/**
+ * GraphQL endpoint
+ * @param {string} url - Explicit URL
+ * @returns {string} - url, env graphqlUrl, or {apiBaseUrl}/graphql
+ */
+function graphqlUrl(url) {
+  return url || Cypress.env('graphqlUrl') || `${(Cypress.env('apiBaseUrl') || '').replace(/\/+$/, '')}/graphql`;
+}
+
+/**
+ * Load a query: file names are read from cypress/fixtures (graphql/ when no folder is given)
+ * @param {string} query - Query text or .graphql file name
+ * @returns {Cypress.Chainable<string>} - Query text
+ */
+function loadQuery(query) {
+  if (!QUERY_FILE.test(query.trim())) {
+    return cy.wrap(query, { log: false });
+  }
+  const fixturePath = query.includes('/') ? query : `graphql/${query}`;
+  return cy.fixture(fixturePath, 'utf8');
+}
+
+/**
+ * Operation name for messages
+ * @param {string} query - Query text
+ * @param {string} operationName - Explicit operation name
+ * @returns {string} - e.g. "query GetUser" or "anonymous operation"
+ */
+function describeOperation(query, operationName) {
+  const match = query.match(/\b(query|mutation|subscription)\s+(\w+)/);
+  if (operationName) {
+    return `operation ${operationName}`;
+  }
+  return match ? `${match[1]} ${match[2]}` : 'anonymous operation';
+}
+
+/**
+ * Format GraphQL errors for an assertion message
+ * @param {Array<Object>} errors - GraphQL errors
+ * @returns {string} - One line per error, with its path
+ */
+function formatErrors(errors) {
+  return errors
+    .map(error => `  - ${error.message}${error.path ? ` (path: ${error.path.join('.')})` : ''}`)
+    .join('\n');
+}
+
+/**
+ * Read a dotted path from the response data
+ * @param {Cypress.Response} response - GraphQL response
+ * @param {string} dataPath - e.g. "user.address.city" (omit for all of data)
+ * @returns {*} - Value
+ */
+function getGraphqlData(response, dataPath) {
+  const data = response.body && response.body.data;
+  if (!dataPath) {
+    return data;
+  }
+  return dataPath.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+/**
+ * Send a GraphQL operation
+ * @param {Object} options - { query, variables, operationName, url, status, expectErrors, ...request options }
+ *   status: expected HTTP status (default 200)
+ *   expectErrors: true to require GraphQL errors, false (default) to forbid them, null to skip the check
+ * @returns {Cypress.Chainable<Cypress.Response>} - Response
+ */
+function graphqlRequest(options) {
+  const { query, variables, operationName, url, status = 200, expectErrors = false, ...requestOptions } = options;
+  if (!query) {
+    throw new Error('cy.graphql needs a query (text or .graphql file name)');
+  }
+
+  return loadQuery(query).then((queryText) => {
+    const operation = describeOperation(queryText, operationName);
+
+    return apiRequest({
+      method: 'POST',
+      url: graphqlUrl(url),
+      body: {
+        query: queryText,
+        ...(variables ? { variables } : {}),
+        ...(operationName ? { operationName } : {})
+      },
+      ...requestOptions
+    }).then((response) => {
+      const errors = (response.body && response.body.errors) || [];
+
+      if (status !== null) {
+        expect(response.status, `HTTP status of GraphQL ${operation}`).to.eq(status);
+      }
+      if (expectErrors === false) {
+        expect(errors.length, `GraphQL errors in ${operation}:\n${formatErrors(errors)}`).to.eq(0);
+      } else if (expectErrors === true) {
+        expect(errors.length, `GraphQL errors in ${operation}`).to.be.greaterThan(0);
+      }
+      return response;
+    });
+  });
+}
+
+/**
+ * Send a GraphQL operation and yield its data (fails on GraphQL errors)
+ * @param {Object} options - graphqlRequest options
+ * @param {string} dataPath - Dotted path within data (omit for all of data)
+ * @returns {Cypress.Chainable<*>} - Data
+ */
+function graphqlData(options, dataPath) {
+  // Wrapped so a missing value yields undefined instead of the response
+  return graphqlRequest({ ...options, expectErrors: false }).then(response => cy.wrap(getGraphqlData(response, dataPath), { log: false }));
+}
+
+/**
+ * Send a GraphQL operation that must fail and yield its errors
+ * @param {Object} options - graphqlRequest options (HTTP status not checked unless `status` is given)
+ * @returns {Cypress.Chainable<Array<Object>>} - GraphQL errors
+ */
+function graphqlErrors(options) {
+  return graphqlRequest({ status: null, ...options, expectErrors: true }).then(response => response.body.errors);
+}
+
+module.exports = {
+  graphqlRequest,
+  graphqlData,
+  graphqlErrors,
+  getGraphqlData
+};
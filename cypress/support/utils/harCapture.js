@@ -0,0 +1,118 @@
+/**
+ * HAR Capture - Browser side of the API traffic recorder
+ *
+ * apiHelper hands every cy.request exchange to recordExchange; the Node
+ * plugin (cypress/plugins/harRecorder.js) redacts and stores it. The
+ * support file attaches each test's HAR to its Allure result and writes
+ * the spec's HAR file when the spec ends. Set the `har` env value to
+ * false to turn capture off.
+ */
+
+/**
+ * Check whether HAR capture is on
+ * @returns {boolean} - False only when env `har` is false
+ */
+function isHarEnabled() {
+  return Cypress.env('har') !== false;
+}
+
+// Redirects that repeat the request with its method (others follow with GET)
+const METHOD_PRESERVING_REDIRECTS = [307, 308];
+
+/**
+ * Title of the running test attempt, used as the HAR page
+ * Retries get their own page, so a test's HAR shows only the last attempt.
+ * @returns {string} - e.g. "Users API > should get user by ID", "... (retry 1)"
+ */
+function currentTestTitle() {
+  const titlePath = Cypress.currentTest && Cypress.currentTest.titlePath;
+  if (!titlePath || !titlePath.length) {
+    return 'Spec hooks';
+  }
+  const retry = Cypress.currentRetry || 0;
+  return `${titlePath.join(' > ')}${retry ? ` (retry ${retry})` : ''}`;
+}
+
+/**
+ * Record a request and its response
+ * @param {Object} options - Request options as sent to cy.request
+ * @param {Cypress.Response} response - Response
+ * @returns {Cypress.Chainable|undefined} - Task chain, or undefined when capture is off
+ */
+function recordExchange(options, response) {
+  if (!isHarEnabled()) {
+    return undefined;
+  }
+
+  // One hop per redirect; the final hop carries the response status text
+  let method = (options.method || 'GET').toUpperCase();
+  const hops = (response.allRequestResponses || []).map((hop, index, all) => {
+    if (index > 0 && !METHOD_PRESERVING_REDIRECTS.includes(all[index - 1]['Response Status'])) {
+      method = 'GET';
+    }
+    return {
+      method,
+      url: hop['Request URL'],
+      requestHeaders: hop['Request Headers'],
+      requestBody: hop['Request Body'],
+      status: hop['Response Status'],
+      statusText: index === all.length - 1 ? response.statusText : '',
+      responseHeaders: hop['Response Headers'],
+      responseBody: hop['Response Body']
+    };
+  });
+
+  if (!hops.length) {
+    hops.push({
+      method: options.method,
+      url: options.url,
+      requestHeaders: response.requestHeaders || options.headers,
+      requestBody: options.body,
+      status: response.status,
+      statusText: response.statusText,
+      responseHeaders: response.headers,
+      responseBody: response.body
+    });
+  }
+
+  return cy.task('recordHarEntry', {
+    spec: Cypress.spec.relative,
+    test: currentTestTitle(),
+    exchange: {
+      startedDateTime: new Date(Date.now() - (response.duration || 0)).toISOString(),
+      time: response.duration || 0,
+      hops
+    }
+  }, { log: false });
+}
+
+/**
+ * Attach the current test's API traffic to its Allure result
+ * Called from the support file's afterEach() hook.
+ * @returns {Cypress.Chainable|undefined} - Task chain, or undefined when capture is off
+ */
+function attachTestHar() {
+  if (!isHarEnabled()) {
+    return undefined;
+  }
+  return cy.task('getTestHar', { spec: Cypress.spec.relative, test: currentTestTitle() }, { log: false }).then((har) => {
+    if (har) {
+      cy.allure().testAttachment('API traffic (HAR)', har, 'application/json');
+    }
+  });
+}
+
+/**
+ * Write this spec's API traffic to cypress/reports/har
+ * Called once per spec from the support file's after() hook.
+ * @returns {Cypress.Chainable} - Task chain
+ */
+function flushSpecHar() {
+  return cy.task('writeSpecHar', Cypress.spec.relative, { log: false });
+}
+
+module.exports = {
+  recordExchange,
+  attachTestHar,
+  flushSpecHar
+};
@@ -2,12 +2,66 @@
  * Locator Helper - Utility for managing YAML-based locators
  * 
  * This module provides functions to load and use locators from YAML files.
- * Supports CSS selectors, XPath, and text-based selectors.
+ * Supports CSS selectors plus the built-in strategies of selectorEngine.js
+ * (xpath=, text=, role=, label=, placeholder=, testid=, alt=).
+ * A locator may also be a list of selectors, tried in order (fallback chain),
+ * and may contain {placeholders} filled from a params object.
+ * Page files can inherit locators from other files with `extends`, and
+ * related elements can be nested in groups scoped by a `root` selector.
+ * An `overrides` section replaces selectors for the current environment
+ * (configFile) or viewport breakpoint. A `routes` section declares the
+ * page's network routes (see networkFixtures.js), and a `fallbackGrace`
+ * section the fallback chains whose primary gets time to render.
  */
 
+const { parseSelector, queryAll } = require('./selectorEngine');
+
 // Cache for loaded locators to avoid repeated file reads
 const locatorCache = {};
 
+// Locator hits in this spec, keyed by "definingPage.elementKey"
+const usageHits = {};
+
+// File versions the cached locators were read at (interactive mode only)
+const cachedVersions = {};
+let versionsChecked = false;
+
+// Viewport breakpoints for locator overrides, by viewport width in pixels.
+// Replace them with the `locatorBreakpoints` env variable.
+const DEFAULT_BREAKPOINTS = {
+  mobile: { maxWidth: 767 },
+  tablet: { minWidth: 768, maxWidth: 1023 },
+  desktop: { minWidth: 1024 }
+};
+
+
+// Check the locator watcher once per test
+Cypress.on('test:before:run', () => {
+  versionsChecked = false;
+});
+
+/**
+ * Drop cached locator files that changed on disk
+ * In `cypress open`, the Node-side watcher bumps a version per edited file;
+ * in run mode files never change and no check is made.
+ * @returns {Cypress.Chainable} - Resolves when the cache is up to date
+ */
+function syncCacheVersions() {
+  if (versionsChecked || !Cypress.config('isInteractive')) {
+    return cy.wrap(null, { log: false });
+  }
+  
+  return cy.task('getLocatorCacheVersions', null, { log: false }).then((versions) => {
+    versionsChecked = true;
+    Object.keys(locatorCache).forEach((pageName) => {
+      if ((versions[pageName] || 0) !== cachedVersions[pageName]) {
+        delete locatorCache[pageName];
+      }
+    });
+    Object.assign(cachedVersions, versions);
+  });
+}
+
 /**
  * Load locators from a YAML file
  * @param {string} pageName - Name of the page (matches YAML filename without extension)
@@ -16,114 +70,455 @@ const locatorCache = {};
 function loadLocators(pageName) {
   const filePath = `cypress/locators/${pageName}.yaml`;
   
-  // Return cached locators if available
-  if (locatorCache[pageName]) {
-    return cy.wrap(locatorCache[pageName]);
+  return syncCacheVersions().then(() => {
+    // Return cached locators if available
+    if (locatorCache[pageName]) {
+      return cy.wrap(locatorCache[pageName]);
+    }
+    
+    return cy.task('readYamlFile', filePath).then((locators) => {
+      locatorCache[pageName] = locators;
+      cachedVersions[pageName] = cachedVersions[pageName] || 0;
+      return locators;
+    });
+  });
+}
+
+/**
+ * Get the page section of a loaded locator file
+ * Looks for "<pageName>Page", then "<pageName>", then the file root.
+ * @param {string} pageName - Name of the page
+ * @param {Object} locators - Contents of the YAML file
+ * @returns {Object} - Page locators
+ */
+function getPageSection(pageName, locators) {
+  if (locators[`${pageName}Page`]) {
+    return locators[`${pageName}Page`];
   }
+  if (locators[pageName]) {
+    return locators[pageName];
+  }
+  
+  const pageLocators = { ...locators };
+  delete pageLocators.extends;
+  return pageLocators;
+}
+
+/**
+ * Names of the override sections that apply to the current test
+ * The environment comes first, then every breakpoint matching the
+ * viewport width, so layout-specific selectors win over environment ones.
+ * @returns {Cypress.Chainable<Array<string>>} - e.g. ['staging', 'mobile']
+ */
+function getActiveOverrides() {
+  const environment = Cypress.env('configFile') || Cypress.env('environment');
+  const breakpoints = Cypress.env('locatorBreakpoints') || DEFAULT_BREAKPOINTS;
   
-  return cy.task('readYamlFile', filePath).then((locators) => {
-    locatorCache[pageName] = locators;
-    return locators;
+  // The AUT window reflects cy.viewport() changes made during the test
+  return cy.window({ log: false }).then((win) => {
+    const width = win.innerWidth;
+    const matching = Object.keys(breakpoints).filter((name) => {
+      const { minWidth = 0, maxWidth = Infinity } = breakpoints[name];
+      return width >= minWidth && width <= maxWidth;
+    });
+    return [environment, ...matching].filter(Boolean);
   });
 }
 
 /**
- * Get a specific locator from a page
+ * Deep-merge override selectors into page locators
+ * Groups are merged key by key; selectors and fallback chains are replaced.
+ * Dotted override keys ("header.logo") address entries inside groups.
+ * @param {Object} base - Page locators
+ * @param {Object} override - Override section
+ * @returns {Object} - Merged locators
+ */
+function mergeLocators(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    const [head, ...rest] = key.split('.');
+    const entry = rest.length > 0 ? { [rest.join('.')]: value } : value;
+    merged[head] = isGroup(entry) && isGroup(merged[head]) ? mergeLocators(merged[head], entry) : entry;
+  });
+  return merged;
+}
+
+/**
+ * Apply the active override sections of a page
+ * @param {Object} pageLocators - Page locators, possibly with an `overrides` section
+ * @param {Array<string>} overrideNames - Active overrides, in increasing priority
+ * @returns {Object} - Page locators without the `overrides` section
+ */
+function applyOverrides(pageLocators, overrideNames) {
+  const base = { ...pageLocators };
+  const overrides = base.overrides || {};
+  delete base.overrides;
+  
+  return overrideNames.reduce((merged, name) => {
+    return isGroup(overrides[name]) ? mergeLocators(merged, overrides[name]) : merged;
+  }, base);
+}
+
+/**
+ * Load a page's locator file and every file it extends
+ * Files are returned in lookup order: the page first, then its parents
+ * in the order they are listed, each followed by its own parents.
+ * Each file's active overrides are already applied.
  * @param {string} pageName - Name of the page
- * @param {string} elementKey - Key of the element in the YAML file
- * @returns {Promise<string>} - Selector string
+ * @param {Array<string>} ancestry - Pages already being loaded (cycle detection)
+ * @param {Array<string>} overrideNames - Active overrides (looked up when omitted)
+ * @returns {Cypress.Chainable<Array<Object>>} - [{ pageName, locators }]
  */
-function getLocator(pageName, elementKey) {
+function loadLocatorChain(pageName, ancestry = [], overrideNames = null) {
+  if (!overrideNames) {
+    return getActiveOverrides().then(names => loadLocatorChain(pageName, ancestry, names));
+  }
+  if (ancestry.includes(pageName)) {
+    throw new Error(`Circular locator inheritance: ${[...ancestry, pageName].join(' -> ')}`);
+  }
+  
   return loadLocators(pageName).then((locators) => {
-    const pageLocators = locators[`${pageName}Page`] || locators[pageName] || locators;
-    const selector = pageLocators[elementKey];
+    const lineage = [{ pageName, locators: applyOverrides(getPageSection(pageName, locators), overrideNames) }];
+    const parents = [].concat(locators.extends || []);
     
-    if (!selector) {
-      throw new Error(`Locator not found: ${pageName}.${elementKey}`);
+    return parents.reduce((chain, parent) => {
+      return chain.then(() => loadLocatorChain(parent, [...ancestry, pageName], overrideNames)).then((parentLineage) => {
+        parentLineage.forEach((entry) => {
+          if (!lineage.some(existing => existing.pageName === entry.pageName)) {
+            lineage.push(entry);
+          }
+        });
+      });
+    }, cy.wrap(null, { log: false })).then(() => lineage);
+  });
+}
+
+/**
+ * Fill {placeholders} in a selector template
+ * @param {string} template - Selector template (e.g. "[data-testid='row-{id}']")
+ * @param {Object} params - Placeholder values
+ * @param {string} locatorName - "pageName.elementKey", used in error messages
+ * @returns {string} - Selector with placeholders replaced
+ */
+function applyParams(template, params, locatorName) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (params[name] === undefined || params[name] === null) {
+      throw new Error(`Missing locator parameter "${name}" for ${locatorName}`);
     }
+    return String(params[name]);
+  });
+}
+
+/**
+ * Check whether a locator entry is a nested group
+ * @param {*} node - Locator entry
+ * @returns {boolean} - True for a group mapping
+ */
+function isGroup(node) {
+  return node !== null && typeof node === 'object' && !Array.isArray(node);
+}
+
+/**
+ * Walk a dotted key through nested locator groups
+ * @param {Object} locators - Page locators
+ * @param {Array<string>} segments - Key segments (e.g. ['header', 'logo'])
+ * @returns {*} - Locator entry, or undefined when the path does not exist
+ */
+function findNode(locators, segments) {
+  return segments.reduce((node, segment) => {
+    return isGroup(node) && node[segment] ? node[segment] : undefined;
+  }, locators);
+}
+
+/**
+ * Validate a selector or fallback chain and fill its placeholders
+ * @param {string|Array<string>} selector - Selector or fallback chain
+ * @param {Object} params - Placeholder values
+ * @param {string} locatorName - "pageName.elementKey", used in error messages
+ * @returns {string|Array<string>} - Prepared selector
+ */
+function prepareSelector(selector, params, locatorName) {
+  if (Array.isArray(selector)) {
+    if (selector.length === 0 || selector.some(candidate => typeof candidate !== 'string')) {
+      throw new Error(`Invalid fallback chain for ${locatorName}: expected a non-empty list of selectors`);
+    }
+    return selector.map(candidate => applyParams(candidate, params, locatorName));
+  }
+  
+  return applyParams(selector, params, locatorName);
+}
+
+/**
+ * Count a locator hit for the coverage report
+ * @param {string} pageName - Page whose YAML file defines the key
+ * @param {string} elementKey - Element key
+ */
+function recordUsage(pageName, elementKey) {
+  const locatorKey = `${pageName}.${elementKey}`;
+  usageHits[locatorKey] = (usageHits[locatorKey] || 0) + 1;
+}
+
+/**
+ * Send this spec's locator hits to the Node process
+ * Called once per spec from the support file's after() hook.
+ * @returns {Cypress.Chainable} - Task result
+ */
+function flushLocatorUsage() {
+  const hits = { ...usageHits };
+  Object.keys(usageHits).forEach(key => delete usageHits[key]);
+  return cy.task('recordLocatorUsage', hits, { log: false });
+}
+
+/**
+ * Resolve an element key to its selector and enclosing scopes
+ * Dotted keys address nested groups ("header.logo"); the `root` of every
+ * group along the path becomes a scope the next segment is searched within.
+ * Addressing a group itself resolves to its `root`.
+ * @param {string} pageName - Name of the page
+ * @param {string} elementKey - Element key, optionally dotted
+ * @param {Object} params - Values for {placeholders} in the selectors
+ * @returns {Cypress.Chainable<Object>} - { owner, scopes: [{ key, selector, grace }], selector, grace }
+ */
+function resolveLocator(pageName, elementKey, params = {}) {
+  return loadLocatorChain(pageName).then((lineage) => {
+    const segments = elementKey.split('.');
+    // A page may set the grace period of keys it inherits, like overrides
+    const graceOf = (key) => {
+      const entry = lineage.find(candidate => candidate.locators.fallbackGrace && candidate.locators.fallbackGrace[key] !== undefined);
+      return entry ? Number(entry.locators.fallbackGrace[key]) : undefined;
+    };
+    const owner = lineage.find(entry => findNode(entry.locators, segments) !== undefined);
     
-    return selector;
+    if (!owner) {
+      const searched = lineage.map(entry => `${entry.pageName}.yaml`).join(', ');
+      throw new Error(`Locator not found: ${pageName}.${elementKey} (searched: ${searched})`);
+    }
+    
+    const scopes = [];
+    segments.slice(0, -1).forEach((segment, index) => {
+      const groupKey = segments.slice(0, index + 1).join('.');
+      const group = findNode(owner.locators, segments.slice(0, index + 1));
+      if (group.root) {
+        scopes.push({
+          key: groupKey,
+          selector: prepareSelector(group.root, params, `${pageName}.${groupKey}`),
+          grace: graceOf(groupKey)
+        });
+        recordUsage(owner.pageName, groupKey);
+      }
+    });
+    recordUsage(owner.pageName, elementKey);
+    
+    let selector = findNode(owner.locators, segments);
+    if (isGroup(selector)) {
+      if (!selector.root) {
+        throw new Error(`${pageName}.${elementKey} is a locator group without a "root" selector`);
+      }
+      selector = selector.root;
+    }
+    
+    return {
+      owner: owner.pageName,
+      scopes,
+      selector: prepareSelector(selector, params, `${pageName}.${elementKey}`),
+      grace: graceOf(elementKey)
+    };
   });
 }
 
+/**
+ * Get a specific locator from a page
+ * A locator entry may be a single selector or a list of fallback selectors.
+ * Keys not defined by the page are looked up in the files it extends;
+ * page-level keys override inherited ones.
+ * For keys inside a group, the selector is relative to the group's root.
+ * Selectors from the active `overrides` sections (environment, then
+ * viewport breakpoint) replace the default ones.
+ * @param {string} pageName - Name of the page
+ * @param {string} elementKey - Key of the element in the YAML file (dotted for groups)
+ * @param {Object} params - Values for {placeholders} in the selector
+ * @returns {Promise<string|Array<string>>} - Selector string or fallback chain
+ */
+function getLocator(pageName, elementKey, params = {}) {
+  return resolveLocator(pageName, elementKey, params).then(locator => locator.selector);
+}
+
 /**
  * Get element using locator from YAML
  * Supports CSS, XPath, and text-based selectors
  * @param {string} pageName - Name of the page
- * @param {string} elementKey - Key of the element
+ * @param {string} elementKey - Key of the element (dotted for groups, e.g. "header.logo")
+ * @param {Object} params - Values for {placeholders} in the selector
  * @returns {Cypress.Chainable} - Cypress element
  */
-function getElement(pageName, elementKey) {
-  return getLocator(pageName, elementKey).then((selector) => {
-    return resolveSelector(selector);
+function getElement(pageName, elementKey, params = {}) {
+  return resolveLocator(pageName, elementKey, params).then((locator) => {
+    return resolveScoped(locator, { pageName, elementKey });
   });
 }
 
+/**
+ * Find elements matching a selector or fallback chain under a set of roots
+ * For a chain, the first candidate with any match wins.
+ * @param {Array<Document|Element>} roots - Roots to search within
+ * @param {string|Array<string>} selector - Selector or fallback chain
+ * @returns {Array<Element>} - Matching elements
+ */
+function findAll(roots, selector) {
+  for (const candidate of [].concat(selector)) {
+    try {
+      const elements = roots.flatMap(root => queryAll(root, candidate));
+      if (elements.length > 0) {
+        return elements;
+      }
+    } catch (error) {
+      // An invalid selector in one candidate should not break the rest of the chain
+    }
+  }
+  return [];
+}
+
+/**
+ * Grace period of the primary selector for one lookup
+ * Chains wait for their primary only when they opt in through the page's
+ * `fallbackGrace` section, so a missing primary doesn't slow down every
+ * lookup. The `locatorFallbackGrace` env variable sets it for all chains.
+ * Capped at half the lookup timeout so fallbacks still get time to match.
+ * @param {number} timeout - Lookup timeout in ms (default: defaultCommandTimeout)
+ * @param {number} grace - Grace period of the locator (undefined: none)
+ * @returns {number} - Grace period in ms
+ */
+function fallbackGrace(timeout, grace) {
+  const configured = Cypress.env('locatorFallbackGrace');
+  const period = configured !== undefined ? Number(configured) : grace || 0;
+  return Math.min(period, (timeout || Cypress.config('defaultCommandTimeout')) / 2);
+}
+
+/**
+ * Pick the first selector of a fallback chain that matches the page
+ * Retries until one candidate matches or the timeout expires. The primary
+ * selector is used as soon as it matches; fallbacks only once the primary
+ * has been absent for the grace period (see fallbackGrace).
+ * The chosen candidate is logged, and fallback usage is reported to the
+ * Node process for the run report.
+ * @param {Array<string>} candidates - Selectors in priority order
+ * @param {Object} context - Locator context ({ pageName, elementKey, timeout, within, grace })
+ * @returns {Cypress.Chainable<string>} - Matching selector
+ */
+function selectFromChain(candidates, context = {}) {
+  const { pageName = 'unknown', elementKey = 'unknown', timeout, within } = context;
+  const options = timeout ? { log: false, timeout } : { log: false };
+  const grace = fallbackGrace(timeout, context.grace);
+  let matchedIndex = -1;
+  // Set when the lookup actually runs, not when it is queued
+  let waitStart = null;
+  let waited = 0;
+  
+  return cy.document(options)
+    .should((doc) => {
+      waitStart = waitStart || Date.now();
+      waited = Date.now() - waitStart;
+      const roots = within ? within.toArray() : [doc];
+      matchedIndex = candidates.findIndex(candidate => findAll(roots, candidate).length > 0);
+      expect(matchedIndex, `No selector matched for ${pageName}.${elementKey} (tried: ${candidates.join(' | ')})`)
+        .to.be.at.least(0);
+      if (matchedIndex > 0 && waited < grace) {
+        throw new Error(`Waiting ${grace}ms for the primary selector of ${pageName}.${elementKey} before using fallback ${candidates[matchedIndex]}`);
+      }
+    })
+    .then(() => {
+      const matched = candidates[matchedIndex];
+      if (matchedIndex === 0) {
+        Cypress.log({ name: 'locator', message: `${pageName}.${elementKey} → ${matched}` });
+        return matched;
+      }
+      
+      cy.log(`**Locator fallback** ${pageName}.${elementKey} → ${matched} (candidate ${matchedIndex + 1} of ${candidates.length}, primary absent for ${waited}ms)`);
+      return cy.task('recordLocatorFallback', {
+        pageName,
+        elementKey,
+        primary: candidates[0],
+        used: matched,
+        index: matchedIndex,
+        spec: Cypress.spec.relative,
+        test: Cypress.currentTest ? Cypress.currentTest.title : ''
+      }, { log: false }).then(() => matched);
+    });
+}
+
 /**
  * Resolve selector based on its type
- * @param {string} selector - Selector string
+ * @param {string|Array<string>} selector - Selector string or fallback chain
+ * @param {Object} context - Locator context ({ pageName, elementKey, timeout, within, grace })
+ *   where `within` is an optional jQuery scope to search inside
  * @returns {Cypress.Chainable} - Cypress element
  */
-function resolveSelector(selector) {
-  if (selector.startsWith('xpath=')) {
-    // XPath selector
-    const xpath = selector.replace('xpath=', '');
-    return cy.xpath(xpath);
-  } else if (selector.startsWith('text=')) {
+function resolveSelector(selector, context = {}) {
+  if (Array.isArray(selector)) {
+    return selectFromChain(selector, context).then((matched) => {
+      return resolveSelector(matched, context);
+    });
+  }
+  
+  const options = context.timeout ? { timeout: context.timeout } : {};
+  const { strategy, value } = parseSelector(selector);
+  const scope = context.within ? cy.wrap(context.within, { log: false }) : null;
+  
+  if (strategy === 'css') {
+    // CSS selector (default)
+    return scope ? scope.find(selector, options) : cy.get(selector, options);
+  } else if (strategy === 'text') {
     // Text-based selector
-    const text = selector.replace('text=', '');
-    return cy.contains(text);
+    return (scope || cy).contains(value, options);
   } else {
-    // CSS selector (default)
-    return cy.get(selector);
+    // XPath and semantic selectors (role=, label=, placeholder=, testid=, alt=)
+    return (scope || cy).locate(selector, options);
   }
 }
 
+/**
+ * Resolve a locator through its group scopes
+ * @param {Object} locator - Result of resolveLocator
+ * @param {Object} context - Locator context ({ pageName, elementKey, timeout })
+ * @returns {Cypress.Chainable} - Cypress element
+ */
+function resolveScoped(locator, context = {}) {
+  return locator.scopes.reduce((chain, scope) => {
+    return chain.then(($scope) => {
+      return resolveSelector(scope.selector, { ...context, elementKey: scope.key, within: $scope, grace: scope.grace });
+    });
+  }, cy.wrap(null, { log: false })).then(($scope) => {
+    return resolveSelector(locator.selector, { ...context, within: $scope, grace: locator.grace });
+  });
+}
+
 /**
  * Wait for element to be visible
  * @param {string} pageName - Name of the page
  * @param {string} elementKey - Key of the element
  * @param {number} timeout - Timeout in milliseconds
+ * @param {Object} params - Values for {placeholders} in the selector
  * @returns {Cypress.Chainable} - Cypress element
  */
-function waitForElement(pageName, elementKey, timeout = 10000) {
-  return getLocator(pageName, elementKey).then((selector) => {
-    if (selector.startsWith('xpath=')) {
-      const xpath = selector.replace('xpath=', '');
-      return cy.xpath(xpath, { timeout }).should('be.visible');
-    } else if (selector.startsWith('text=')) {
-      const text = selector.replace('text=', '');
-      return cy.contains(text, { timeout }).should('be.visible');
-    } else {
-      return cy.get(selector, { timeout }).should('be.visible');
-    }
+function waitForElement(pageName, elementKey, timeout = 10000, params = {}) {
+  return resolveLocator(pageName, elementKey, params).then((locator) => {
+    return resolveScoped(locator, { pageName, elementKey, timeout }).should('be.visible');
   });
 }
 
 /**
  * Check if element exists
+ * For fallback chains, the element exists if any candidate matches.
  * @param {string} pageName - Name of the page
  * @param {string} elementKey - Key of the element
+ * @param {Object} params - Values for {placeholders} in the selector
  * @returns {Cypress.Chainable<boolean>} - True if element exists
  */
-function elementExists(pageName, elementKey) {
-  return getLocator(pageName, elementKey).then((selector) => {
-    return cy.get('body').then(($body) => {
-      if (selector.startsWith('xpath=') || selector.startsWith('text=')) {
-        // For xpath and text selectors, use a different approach
-        return cy.document().then((doc) => {
-          if (selector.startsWith('xpath=')) {
-            const xpath = selector.replace('xpath=', '');
-            const result = doc.evaluate(xpath, doc, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-            return result.singleNodeValue !== null;
-          } else {
-            const text = selector.replace('text=', '');
-            return $body.text().includes(text);
-          }
-        });
-      } else {
-        return $body.find(selector).length > 0;
-      }
+function elementExists(pageName, elementKey, params = {}) {
+  return resolveLocator(pageName, elementKey, params).then((locator) => {
+    return cy.document().then((doc) => {
+      const roots = locator.scopes.reduce((currentRoots, scope) => findAll(currentRoots, scope.selector), [doc]);
+      return findAll(roots, locator.selector).length > 0;
     });
   });
 }
@@ -138,11 +533,26 @@ function clearLocatorCache() {
 
 /**
  * Get all locators for a page
+ * Includes inherited locators; page-level keys override parent keys.
  * @param {string} pageName - Name of the page
  * @returns {Promise<Object>} - All locators for the page
  */
 function getAllLocators(pageName) {
-  return loadLocators(pageName);
+  return loadLocatorChain(pageName).then((lineage) => {
+    return lineage.reduceRight((merged, entry) => ({ ...merged, ...entry.locators }), {});
+  });
+}
+
+/**
+ * Get the network routes of a page (`routes` section)
+ * Includes inherited routes; page-level aliases override parent ones.
+ * @param {string} pageName - Name of the page
+ * @returns {Cypress.Chainable<Object>} - Routes keyed by alias
+ */
+function getRoutes(pageName) {
+  return loadLocatorChain(pageName).then((lineage) => {
+    return lineage.reduceRight((merged, entry) => ({ ...merged, ...(entry.locators.routes || {}) }), {});
+  });
 }
 
 module.exports = {
@@ -153,5 +563,7 @@ module.exports = {
   waitForElement,
   elementExists,
   clearLocatorCache,
-  getAllLocators
+  getAllLocators,
+  getRoutes,
+  flushLocatorUsage
 };
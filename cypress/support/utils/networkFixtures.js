@@ -0,0 +1,166 @@
+/**
+ * Network Fixtures - Record and replay the XHR/fetch traffic of a page
+ *
+ * Routes are declared per page in the `routes` section of its locator
+ * file, as "METHOD pattern" or { method, url } (cy.intercept glob):
+ *
+ *   homePage:
+ *     routes:
+ *       featuredItems: "GET **\/api/featured*"
+ *
+ * The `networkMode` env value decides what happens to them:
+ *   live (default) - requests reach the backend; routes are only aliased
+ *   record         - responses are also saved to
+ *                    cypress/fixtures/network/<page>/<alias>.json
+ *   replay         - routes are answered from those files; the backend is
+ *                    never called
+ * Page objects set the routes up in visit(); cy.wait('@featuredItems')
+ * works in every mode.
+ */
+
+const { getRoutes } = require('./locatorHelper');
+
+const MODES = ['live', 'record', 'replay'];
+
+// Responses recorded in this spec, saved by the support file's after() hook
+const recorded = [];
+
+/**
+ * Current network mode
+ * @returns {string} - live, record or replay
+ */
+function getNetworkMode() {
+  const mode = Cypress.env('networkMode') || 'live';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown networkMode "${mode}" (use ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Normalize a route declaration
+ * @param {string} alias - Route alias
+ * @param {string|Object} route - "GET **\/api/items*", "**\/api/items*" or { method, url }
+ * @returns {Object} - { method, url }; method '*' matches any
+ */
+function parseRoute(alias, route) {
+  let declared = route || {};
+  if (typeof route === 'string') {
+    const match = route.trim().match(/^([A-Za-z]+)\s+(\S+)$/);
+    declared = match ? { method: match[1], url: match[2] } : { url: route.trim() };
+  }
+  if (typeof declared.url !== 'string' || !declared.url) {
+    throw new Error(`Route "${alias}" needs a URL pattern (e.g. "GET **/api/items*")`);
+  }
+  return { method: (declared.method || '*').toUpperCase(), url: declared.url };
+}
+
+/**
+ * Path and query of a request URL, the key recordings are stored under
+ * @param {string} url - Absolute URL
+ * @returns {string} - e.g. "/api/featured?limit=5"
+ */
+function requestKey(url) {
+  const parsed = new URL(url);
+  return `${parsed.pathname}${parsed.search}`;
+}
+
+/**
+ * Find the recording for a request: same method and URL, else same path
+ * @param {Array<Object>} entries - Recordings of the route
+ * @param {string} method - Request method
+ * @param {string} url - Request path and query
+ * @returns {Object|undefined} - Recording
+ */
+function findRecording(entries, method, url) {
+  const samePath = entry => entry.request.url.split('?')[0] === url.split('?')[0];
+  return entries.find(entry => entry.request.method === method && entry.request.url === url)
+    || entries.find(entry => entry.request.method === method && samePath(entry));
+}
+
+/**
+ * Intercept one route for the current mode
+ * @param {string} pageName - Page the recordings belong to
+ * @param {string} alias - Route alias
+ * @param {Object} route - { method, url }
+ * @param {string} mode - live, record or replay
+ * @param {Array<Object>} entries - Recordings of the route (replay)
+ * @returns {Cypress.Chainable} - Intercept
+ */
+function interceptRoute(pageName, alias, route, mode, entries) {
+  const matcher = route.method === '*' ? { url: route.url } : { method: route.method, url: route.url };
+
+  if (mode === 'record') {
+    return cy.intercept(matcher, (req) => {
+      req.continue((res) => {
+        recorded.push({
+          page: pageName,
+          alias,
+          route,
+          request: { method: req.method, url: requestKey(req.url) },
+          response: { statusCode: res.statusCode, headers: res.headers, body: res.body }
+        });
+      });
+    }).as(alias);
+  }
+
+  if (mode === 'replay') {
+    return cy.intercept(matcher, (req) => {
+      const url = requestKey(req.url);
+      const recording = findRecording(entries, req.method, url);
+      if (!recording) {
+        const message = `No recording for ${req.method} ${url} (${pageName}.${alias}); record it with networkMode=record`;
+        Cypress.log({ name: 'replay', message });
+        req.reply({ statusCode: 404, body: { message } });
+        return;
+      }
+      req.reply(recording.response);
+    }).as(alias);
+  }
+
+  return cy.intercept(matcher).as(alias);
+}
+
+/**
+ * Set up the network routes of a page for the current mode
+ * Call before cy.visit so the page's first requests are matched.
+ * @param {string} pageName - Name of the page (locator file)
+ * @returns {Cypress.Chainable<Array<string>>} - Route aliases
+ */
+function useNetworkRoutes(pageName) {
+  const mode = getNetworkMode();
+
+  return getRoutes(pageName).then((routes) => {
+    const aliases = Object.keys(routes);
+    const recordings = mode === 'replay' && aliases.length
+      ? cy.task('loadNetworkRecordings', pageName, { log: false })
+      : cy.wrap({}, { log: false });
+
+    return recordings.then((files) => {
+      aliases.forEach((alias) => {
+        const entries = (files[alias] && files[alias].recordings) || [];
+        interceptRoute(pageName, alias, parseRoute(alias, routes[alias]), mode, entries);
+      });
+      return cy.wrap(aliases, { log: false });
+    });
+  });
+}
+
+/**
+ * Save the responses recorded in this spec
+ * Called once per spec from the support file's after() hook.
+ * @returns {Cypress.Chainable} - Task result
+ */
+function flushNetworkRecordings() {
+  if (recorded.length === 0) {
+    return cy.wrap(null, { log: false });
+  }
+  return cy.task('saveNetworkRecordings', recorded.splice(0), { log: false });
+}
+
+module.exports = {
+  getNetworkMode,
+  parseRoute,
+  useNetworkRoutes,
+  flushNetworkRecordings
+};
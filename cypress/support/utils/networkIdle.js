@@ -0,0 +1,218 @@
+/**
+ * Network Idle - Wait until the app under test stops making requests
+ *
+ * Every window the app loads is instrumented before its scripts run:
+ * XMLHttpRequest and fetch calls are tracked until they finish (or fail,
+ * or are aborted). The network is idle once no tracked request is pending
+ * and none has started or finished for the quiet period.
+ *
+ * Options are resolved from, in increasing priority:
+ *   1. DEFAULT_OPTIONS below
+ *   2. The `networkIdle` env value (cypress.config.js or cypress/config/<env>.json)
+ *   3. The options passed to cy.waitForNetworkIdle
+ * `ignore` patterns are added to the defaults rather than replacing them.
+ */
+
+const DEFAULT_OPTIONS = {
+  // Time in ms without request activity that counts as idle
+  quietPeriod: 500,
+  // Give up after this many ms, listing the requests still pending
+  timeout: 10000,
+  // Requests that never settle or don't affect the page: long polling,
+  // websocket fallbacks, analytics. Strings are globs when they contain
+  // "*", substrings otherwise; RegExps are tested against the full URL.
+  ignore: [
+    '/socket.io/',
+    '/sockjs-node/',
+    '/sockjs/',
+    'google-analytics.com',
+    'googletagmanager.com',
+    'doubleclick.net',
+    'hotjar.com',
+    'segment.io',
+    'sentry.io'
+  ]
+};
+
+// Recently finished requests kept for the quiet period check
+const MAX_FINISHED = 200;
+
+// Requests of the current AUT window
+const tracker = {
+  nextId: 1,
+  pending: new Map(),
+  finished: []
+};
+
+/**
+ * Resolve the full URL of a request
+ * @param {Window} win - AUT window
+ * @param {*} url - URL string or URL object
+ * @returns {string} - Absolute URL
+ */
+function absoluteUrl(win, url) {
+  try {
+    return new win.URL(String(url), win.location.href).href;
+  } catch (error) {
+    return String(url);
+  }
+}
+
+/**
+ * Start tracking a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {string} type - xhr or fetch
+ * @returns {number} - Request id
+ */
+function trackRequest(method, url, type) {
+  const id = tracker.nextId++;
+  tracker.pending.set(id, { method: String(method || 'GET').toUpperCase(), url, type, start: Date.now() });
+  return id;
+}
+
+/**
+ * Stop tracking a request
+ * @param {number} id - Request id
+ */
+function finishRequest(id) {
+  const request = tracker.pending.get(id);
+  if (!request) {
+    return;
+  }
+  tracker.pending.delete(id);
+  tracker.finished.push({ ...request, end: Date.now() });
+  if (tracker.finished.length > MAX_FINISHED) {
+    tracker.finished.shift();
+  }
+}
+
+/**
+ * Instrument XMLHttpRequest and fetch of a freshly loaded window
+ * @param {Window} win - AUT window
+ */
+function instrumentWindow(win) {
+  tracker.pending.clear();
+  tracker.finished = [];
+
+  const xhrPrototype = win.XMLHttpRequest && win.XMLHttpRequest.prototype;
+  if (xhrPrototype) {
+    const { open, send } = xhrPrototype;
+    xhrPrototype.open = function trackedOpen(method, url, ...rest) {
+      this.networkIdleRequest = { method, url: absoluteUrl(win, url) };
+      return open.call(this, method, url, ...rest);
+    };
+    xhrPrototype.send = function trackedSend(...args) {
+      const { method, url } = this.networkIdleRequest || {};
+      const id = trackRequest(method, url, 'xhr');
+      // loadend follows load, error, abort and timeout alike
+      this.addEventListener('loadend', () => finishRequest(id), { once: true });
+      try {
+        return send.apply(this, args);
+      } catch (error) {
+        finishRequest(id);
+        throw error;
+      }
+    };
+  }
+
+  const originalFetch = win.fetch;
+  if (originalFetch) {
+    win.fetch = function trackedFetch(input, init = {}) {
+      const url = input && input.url ? input.url : input;
+      const method = init.method || (input && input.method) || 'GET';
+      const id = trackRequest(method, absoluteUrl(win, url), 'fetch');
+      return originalFetch.call(this, input, init).then((response) => {
+        finishRequest(id);
+        return response;
+      }, (error) => {
+        finishRequest(id);
+        throw error;
+      });
+    };
+  }
+}
+
+Cypress.on('window:before:load', instrumentWindow);
+
+/**
+ * Check a URL against ignore patterns
+ * @param {string} url - Request URL
+ * @param {Array<string|RegExp>} patterns - Globs, substrings or RegExps
+ * @returns {boolean} - True when the request should not count
+ */
+function isIgnored(url, patterns) {
+  return patterns.some((pattern) => {
+    if (pattern instanceof RegExp) {
+      return pattern.test(url);
+    }
+    return pattern.includes('*') ? Cypress.minimatch(url, pattern, { matchBase: true }) : url.includes(pattern);
+  });
+}
+
+/**
+ * Resolve the options for one wait
+ * @param {number|Object} options - Timeout in ms, or options
+ * @returns {Object} - { quietPeriod, timeout, ignore, log }
+ */
+function resolveIdleOptions(options = {}) {
+  const callOptions = typeof options === 'number' ? { timeout: options } : options;
+  const envOptions = Cypress.env('networkIdle') || {};
+  return {
+    ...DEFAULT_OPTIONS,
+    ...envOptions,
+    ...callOptions,
+    ignore: [...DEFAULT_OPTIONS.ignore, ...(envOptions.ignore || []), ...(callOptions.ignore || [])]
+  };
+}
+
+/**
+ * Describe pending requests for a failure message
+ * @param {Array<Object>} requests - Pending requests
+ * @param {number} now - Current time
+ * @returns {string} - One line per request
+ */
+function describePending(requests, now) {
+  return requests
+    .map(request => `  - ${request.method} ${request.url} (${request.type}, pending ${now - request.start}ms)`)
+    .join('\n');
+}
+
+/**
+ * Wait until no XHR/fetch request has been pending for the quiet period
+ * @param {number|Object} options - Timeout in ms, or { quietPeriod, timeout, ignore, log }
+ * @returns {Cypress.Chainable<null>} - Resolves when the network is idle
+ */
+function waitForNetworkIdle(options = {}) {
+  const { quietPeriod, timeout, ignore, log = true } = resolveIdleOptions(options);
+  const counts = request => !isIgnored(request.url, ignore);
+  // Set when the wait actually runs, not when it is queued
+  let waitStart = null;
+
+  return cy.window({ log: false, timeout }).should(() => {
+    const now = Date.now();
+    waitStart = waitStart || now;
+    const pending = [...tracker.pending.values()].filter(counts);
+    const lastActivity = Math.max(
+      waitStart,
+      ...pending.map(request => request.start),
+      ...tracker.finished.filter(counts).map(request => request.end)
+    );
+
+    if (pending.length > 0) {
+      throw new Error(`Network not idle after ${timeout}ms: ${pending.length} request(s) pending\n${describePending(pending, now)}`);
+    }
+    if (now - lastActivity < quietPeriod) {
+      throw new Error(`Network not idle after ${timeout}ms: requests kept starting within the ${quietPeriod}ms quiet period`);
+    }
+  }).then(() => {
+    if (log) {
+      Cypress.log({ name: 'networkIdle', message: `idle after ${Date.now() - waitStart}ms (quiet period ${quietPeriod}ms)` });
+    }
+    return null;
+  });
+}
+
+module.exports = {
+  waitForNetworkIdle
+};
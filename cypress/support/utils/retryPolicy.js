@@ -0,0 +1,185 @@
+/**
+ * Retry Policy - When and how long to wait before retrying API requests
+ *
+ * A policy is resolved from, in increasing priority:
+ *   1. DEFAULT_POLICY below
+ *   2. The env config `retries` (cypress/config/<env>.json), a number of
+ *      retries or a policy object
+ *   3. The test policy set with setRetryPolicy (e.g. in a spec's beforeEach())
+ *   4. The request's own `retry` option (a number, a policy object or false)
+ *
+ * Delays grow exponentially with jitter; a Retry-After header on the
+ * response takes precedence. Connection failures (no response at all) are
+ * detected by probing the host from Node before each attempt (see
+ * cypress/plugins/connectionProbe.js) and retried with the same delays.
+ */
+
+const DEFAULT_POLICY = {
+  // Retries after the first attempt
+  retries: 0,
+  // First delay in ms, multiplied by `factor` on every retry and capped at `maxDelay`
+  baseDelay: 500,
+  factor: 2,
+  maxDelay: 10000,
+  // Share of the delay that is randomized (0 = fixed delays, 1 = anywhere from 0 to the delay)
+  jitter: 0.5,
+  // Statuses worth retrying
+  retryOn: [408, 429, 500, 502, 503, 504],
+  // Wait as long as a Retry-After header asks, unless it asks for more than this (then give up)
+  maxRetryAfter: 60000,
+  // Retry when the host can't be reached (ECONNREFUSED, ENOTFOUND, ETIMEDOUT)
+  retryNetworkErrors: true,
+  // POST and PATCH may not be safe to repeat; retry them only when allowed
+  allowNonIdempotent: false
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+// Policy set by the running test; reset before every test (see resetRetryPolicy)
+let testPolicy = {};
+
+/**
+ * Normalize a policy value
+ * @param {number|Object|boolean} policy - Retry count, policy object, or false for no retries
+ * @returns {Object} - Partial policy
+ */
+function normalizePolicy(policy) {
+  if (policy === undefined || policy === null || policy === true) {
+    return {};
+  }
+  if (policy === false) {
+    return { retries: 0 };
+  }
+  if (typeof policy === 'number') {
+    return { retries: policy };
+  }
+  return policy;
+}
+
+/**
+ * Set the retry policy for the rest of the test
+ * @param {number|Object|boolean} policy - Retry count, policy object, or false for no retries
+ */
+function setRetryPolicy(policy) {
+  testPolicy = normalizePolicy(policy);
+}
+
+/**
+ * Drop the policy set by the previous test
+ * Called before every test, so a policy never leaks into later tests or
+ * specs (experimentalRunAllSpecs runs every spec in one browser session).
+ */
+function resetRetryPolicy() {
+  testPolicy = {};
+}
+
+/**
+ * Resolve the policy for one request
+ * @param {number|Object|boolean} requestPolicy - The request's `retry` option
+ * @returns {Object} - Full policy
+ */
+function resolvePolicy(requestPolicy) {
+  return {
+    ...DEFAULT_POLICY,
+    ...normalizePolicy(Cypress.env('retries')),
+    ...testPolicy,
+    ...normalizePolicy(requestPolicy)
+  };
+}
+
+/**
+ * Check whether a method may be retried under a policy
+ * @param {Object} policy - Full policy
+ * @param {string} method - HTTP method
+ * @returns {boolean} - True for idempotent methods, or any method when allowed
+ */
+function canRetryMethod(policy, method = 'GET') {
+  return policy.allowNonIdempotent || IDEMPOTENT_METHODS.includes(method.toUpperCase());
+}
+
+/**
+ * Delay requested by a Retry-After header
+ * @param {Object} headers - Response headers
+ * @returns {number|null} - Delay in ms, or null when there is no usable header
+ */
+function retryAfterDelay(headers = {}) {
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff delay with jitter
+ * @param {Object} policy - Full policy
+ * @param {number} retry - Retry number, starting at 1
+ * @returns {number} - Delay in ms
+ */
+function backoffDelay(policy, retry) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, retry - 1));
+  return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Check whether connection failures of a request may be retried
+ * @param {Object} policy - Full policy
+ * @param {string} method - HTTP method
+ * @returns {boolean} - True when the host should be probed before each attempt
+ */
+function retriesNetworkErrors(policy, method) {
+  return Boolean(policy.retryNetworkErrors) && policy.retries > 0 && canRetryMethod(policy, method);
+}
+
+/**
+ * Decide whether to retry after a connection failure
+ * @param {Object} policy - Full policy
+ * @param {string} method - HTTP method
+ * @param {string} error - Connection error code (e.g. ECONNREFUSED)
+ * @param {number} retry - Number of the retry being considered, starting at 1
+ * @returns {Object|null} - { delay, reason }, or null to stop
+ */
+function nextNetworkRetry(policy, method, error, retry) {
+  if (retry > policy.retries || !retriesNetworkErrors(policy, method)) {
+    return null;
+  }
+  return { delay: backoffDelay(policy, retry), reason: error };
+}
+
+/**
+ * Decide whether to retry after a response
+ * @param {Object} policy - Full policy
+ * @param {string} method - HTTP method
+ * @param {Cypress.Response} response - Response of the last attempt
+ * @param {number} retry - Number of the retry being considered, starting at 1
+ * @returns {Object|null} - { delay, reason }, or null to stop
+ */
+function nextRetry(policy, method, response, retry) {
+  if (retry > policy.retries || !policy.retryOn.includes(response.status) || !canRetryMethod(policy, method)) {
+    return null;
+  }
+
+  const retryAfter = retryAfterDelay(response.headers);
+  if (retryAfter !== null) {
+    if (retryAfter > policy.maxRetryAfter) {
+      return null;
+    }
+    return { delay: retryAfter, reason: `${response.status}, Retry-After ${response.headers['retry-after']}` };
+  }
+  return { delay: backoffDelay(policy, retry), reason: `${response.status}` };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  setRetryPolicy,
+  resetRetryPolicy,
+  resolvePolicy,
+  canRetryMethod,
+  retriesNetworkErrors,
+  nextRetry,
+  nextNetworkRetry
+};
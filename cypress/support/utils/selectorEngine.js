@@ -0,0 +1,297 @@
+/**
+ * Selector Engine - Built-in selector strategies for YAML locators
+ *
+ * Resolves prefixed selectors against a document or element without
+ * relying on third-party Cypress plugins.
+ *
+ * Supported prefixes:
+ *   - xpath=        XPath expression        (xpath=//button[@type='submit'])
+ *   - text=         Element containing text (text=Forgot Password)
+ *   - role=         ARIA role and name      (role=button[name="Login"])
+ *   - label=        Form control by label   (label=Email address)
+ *   - placeholder=  Input by placeholder    (placeholder=Search...)
+ *   - testid=       data-testid attribute   (testid=login-button)
+ *   - alt=          Image by alt text       (alt=Company logo)
+ * Anything else is treated as a CSS selector.
+ */
+
+const STRATEGY_PREFIXES = ['xpath', 'text', 'role', 'label', 'placeholder', 'testid', 'alt'];
+
+// Implicit ARIA roles for common elements
+const IMPLICIT_ROLES = {
+  a: el => (el.hasAttribute('href') ? 'link' : null),
+  area: el => (el.hasAttribute('href') ? 'link' : null),
+  article: () => 'article',
+  aside: () => 'complementary',
+  button: () => 'button',
+  dialog: () => 'dialog',
+  footer: () => 'contentinfo',
+  form: () => 'form',
+  h1: () => 'heading',
+  h2: () => 'heading',
+  h3: () => 'heading',
+  h4: () => 'heading',
+  h5: () => 'heading',
+  h6: () => 'heading',
+  header: () => 'banner',
+  img: el => (el.getAttribute('alt') === '' ? 'presentation' : 'img'),
+  input: el => inputRole(el),
+  li: () => 'listitem',
+  main: () => 'main',
+  nav: () => 'navigation',
+  ol: () => 'list',
+  option: () => 'option',
+  select: el => (el.multiple || el.size > 1 ? 'listbox' : 'combobox'),
+  table: () => 'table',
+  td: () => 'cell',
+  textarea: () => 'textbox',
+  th: () => 'columnheader',
+  tr: () => 'row',
+  ul: () => 'list'
+};
+
+const INPUT_ROLES = {
+  button: 'button',
+  checkbox: 'checkbox',
+  email: 'textbox',
+  image: 'button',
+  number: 'spinbutton',
+  radio: 'radio',
+  range: 'slider',
+  reset: 'button',
+  search: 'searchbox',
+  submit: 'button',
+  tel: 'textbox',
+  text: 'textbox',
+  url: 'textbox'
+};
+
+/**
+ * Implicit role of an input element
+ * @param {HTMLInputElement} el - Input element
+ * @returns {string|null} - Role name
+ */
+function inputRole(el) {
+  const type = (el.getAttribute('type') || 'text').toLowerCase();
+  return INPUT_ROLES[type] || null;
+}
+
+/**
+ * Split a selector into its strategy and value
+ * @param {string} selector - Selector string
+ * @returns {Object} - { strategy, value }; strategy is 'css' for plain selectors
+ */
+function parseSelector(selector) {
+  const prefix = STRATEGY_PREFIXES.find(name => selector.startsWith(`${name}=`));
+  if (!prefix) {
+    return { strategy: 'css', value: selector };
+  }
+  return { strategy: prefix, value: selector.slice(prefix.length + 1) };
+}
+
+/**
+ * Parse a role selector value
+ * @param {string} value - e.g. 'button' or 'button[name="Login"]'
+ * @returns {Object} - { role, name }
+ */
+function parseRole(value) {
+  const match = value.trim().match(/^([a-z]+)(?:\[name=(["'])(.*)\2\])?$/);
+  if (!match) {
+    throw new Error(`Invalid role selector "${value}": expected role or role[name="Accessible name"]`);
+  }
+  return { role: match[1], name: match[3] };
+}
+
+/**
+ * Collapse whitespace for name and text comparisons
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Owner document of a search root
+ * @param {Document|Element} root - Search root
+ * @returns {Document} - Document
+ */
+function documentOf(root) {
+  return root.nodeType === 9 ? root : root.ownerDocument;
+}
+
+/**
+ * All elements under a root, including the root element itself
+ * @param {Document|Element} root - Search root
+ * @returns {Array<Element>} - Elements
+ */
+function allElements(root) {
+  const elements = Array.from(root.querySelectorAll('*'));
+  return root.nodeType === 1 ? [root, ...elements] : elements;
+}
+
+/**
+ * Text of the elements referenced by an id list attribute
+ * @param {Element} el - Element with aria-labelledby
+ * @returns {string} - Joined text
+ */
+function labelledByText(el) {
+  const doc = documentOf(el);
+  return (el.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => doc.getElementById(id))
+    .filter(Boolean)
+    .map(labelEl => labelEl.textContent)
+    .join(' ');
+}
+
+/**
+ * Compute a simplified accessible name
+ * @param {Element} el - Element
+ * @returns {string} - Accessible name
+ */
+function accessibleName(el) {
+  if (el.hasAttribute('aria-labelledby')) {
+    return normalize(labelledByText(el));
+  }
+  if (el.hasAttribute('aria-label')) {
+    return normalize(el.getAttribute('aria-label'));
+  }
+
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'img' || (tag === 'input' && el.type === 'image')) {
+    return normalize(el.getAttribute('alt'));
+  }
+  if (tag === 'input' && ['button', 'submit', 'reset'].includes(el.type)) {
+    return normalize(el.value);
+  }
+  if (['input', 'select', 'textarea'].includes(tag)) {
+    const labels = Array.from(el.labels || []).map(label => label.textContent).join(' ');
+    return normalize(labels || el.getAttribute('title') || el.getAttribute('placeholder'));
+  }
+
+  return normalize(el.textContent || el.getAttribute('title'));
+}
+
+/**
+ * ARIA role of an element, explicit or implicit
+ * @param {Element} el - Element
+ * @returns {string|null} - Role name
+ */
+function roleOf(el) {
+  const explicit = el.getAttribute('role');
+  if (explicit) {
+    return explicit.trim().split(/\s+/)[0];
+  }
+  const implicit = IMPLICIT_ROLES[el.tagName.toLowerCase()];
+  return implicit ? implicit(el) : null;
+}
+
+/**
+ * Quote a value for use inside a CSS attribute selector
+ * @param {string} value - Attribute value
+ * @returns {string} - Quoted value
+ */
+function quoteAttribute(value) {
+  return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Find elements by XPath
+ * @param {Document|Element} root - Search root (context node)
+ * @param {string} expression - XPath expression
+ * @returns {Array<Element>} - Matching elements
+ */
+function queryXPath(root, expression) {
+  const doc = documentOf(root);
+  const result = doc.evaluate(expression, root, null, 7 /* ORDERED_NODE_SNAPSHOT_TYPE */, null);
+  const elements = [];
+  for (let i = 0; i < result.snapshotLength; i++) {
+    const node = result.snapshotItem(i);
+    if (node.nodeType === 1) {
+      elements.push(node);
+    }
+  }
+  return elements;
+}
+
+/**
+ * Find the deepest elements containing a text
+ * @param {Document|Element} root - Search root
+ * @param {string} text - Text to look for
+ * @returns {Array<Element>} - Matching elements
+ */
+function queryText(root, text) {
+  const expected = normalize(text);
+  const matches = allElements(root).filter((el) => {
+    return !['SCRIPT', 'STYLE'].includes(el.tagName) && normalize(el.textContent).includes(expected);
+  });
+  return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+}
+
+/**
+ * Find elements by ARIA role and optional accessible name
+ * @param {Document|Element} root - Search root
+ * @param {string} value - Role selector value (e.g. 'button[name="Login"]')
+ * @returns {Array<Element>} - Matching elements
+ */
+function queryRole(root, value) {
+  const { role, name } = parseRole(value);
+  return allElements(root).filter((el) => {
+    return roleOf(el) === role && (name === undefined || accessibleName(el) === normalize(name));
+  });
+}
+
+/**
+ * Find form controls by their label text
+ * @param {Document|Element} root - Search root
+ * @param {string} text - Label text
+ * @returns {Array<Element>} - Matching elements
+ */
+function queryLabel(root, text) {
+  const expected = normalize(text);
+  const matches = new Set();
+
+  allElements(root).forEach((el) => {
+    if (el.tagName === 'LABEL' && normalize(el.textContent) === expected && el.control) {
+      matches.add(el.control);
+    }
+    if (normalize(el.getAttribute('aria-label')) === expected && el.hasAttribute('aria-label')) {
+      matches.add(el);
+    }
+    if (el.hasAttribute('aria-labelledby') && normalize(labelledByText(el)) === expected) {
+      matches.add(el);
+    }
+  });
+
+  return Array.from(matches);
+}
+
+const STRATEGIES = {
+  css: (root, value) => Array.from(root.querySelectorAll(value)),
+  xpath: queryXPath,
+  text: queryText,
+  role: queryRole,
+  label: queryLabel,
+  placeholder: (root, value) => Array.from(root.querySelectorAll(`[placeholder=${quoteAttribute(value)}]`)),
+  testid: (root, value) => Array.from(root.querySelectorAll(`[data-testid=${quoteAttribute(value)}]`)),
+  alt: (root, value) => Array.from(root.querySelectorAll(`[alt=${quoteAttribute(value)}]`))
+};
+
+/**
+ * Find all elements matching a selector
+ * @param {Document|Element} root - Document or element to search within
+ * @param {string} selector - Selector string (any supported prefix or CSS)
+ * @returns {Array<Element>} - Matching elements in document order
+ */
+function queryAll(root, selector) {
+  const { strategy, value } = parseSelector(selector);
+  return STRATEGIES[strategy](root, value);
+}
+
+module.exports = {
+  STRATEGY_PREFIXES,
+  parseSelector,
+  parseRole,
+  queryAll
+};
@@ -0,0 +1,323 @@
+/**
+ * Page Object Generator
+ *
+ * Generates a page class extending BasePage from a YAML locator file.
+ * Every element gets an accessor (getX); inputs also get enterX(value),
+ * buttons and links clickX(), and messages verifyX(expectedText).
+ *
+ * Usage:
+ *   npm run generate:page -- login
+ *   node scripts/generatePageObject.js cypress/locators/login.yaml
+ *
+ * Generated code lives between "// <generated>" markers. Re-running the
+ * generator only replaces that section; hand-written methods outside it are
+ * kept, and generated methods whose name is already hand-written, or would
+ * override a BasePage method, are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Configuration
+const config = {
+  locatorsDir: path.join(__dirname, '../cypress/locators'),
+  pagesDir: path.join(__dirname, '../cypress/pages'),
+  basePagePath: path.join(__dirname, '../cypress/pages/BasePage.js')
+};
+
+const START_MARKER = '  // <generated>';
+const END_MARKER = '  // </generated>';
+
+// Element types inferred from the end of the locator key
+const ELEMENT_TYPES = [
+  { type: 'input', pattern: /(Input|Field|TextArea|Textarea)$/ },
+  { type: 'button', pattern: /(Button|Btn|Link|Checkbox|Toggle|Tab)$/ },
+  { type: 'message', pattern: /(Message|Error|Alert|Notification|Toast|Text|Title|Count)$/ }
+];
+
+/**
+ * Convert a key to PascalCase ("header.searchInput" -> "HeaderSearchInput")
+ * @param {string} key - Locator key
+ * @returns {string} - PascalCase name
+ */
+function toPascalCase(key) {
+  return key
+    .split(/[.\-_\s]/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Read page name, URL and element keys from a locator file
+ * @param {string} filePath - YAML file path
+ * @returns {Object} - { pageName, url, elements: [{ key, templated }] }
+ */
+function readLocatorFile(filePath) {
+  const pageName = path.basename(filePath, path.extname(filePath));
+  const contents = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  const section = contents[`${pageName}Page`] || contents[pageName];
+
+  if (!section) {
+    throw new Error(`${filePath} has no "${pageName}Page" section`);
+  }
+
+  const elements = [];
+  const walk = (node, prefix) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const fullKey = `${prefix}${key}`;
+      if ((!prefix && ['url', 'routes', 'overrides', 'fallbackGrace'].includes(key)) || (prefix && key === 'root')) {
+        return;
+      }
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        if (value.root) {
+          elements.push({ key: fullKey, templated: /\{\w+\}/.test(JSON.stringify(value.root)) });
+        }
+        walk(value, `${fullKey}.`);
+      } else {
+        elements.push({ key: fullKey, templated: /\{\w+\}/.test(JSON.stringify(value)) });
+      }
+    });
+  };
+  walk(section, '');
+
+  return { pageName, url: section.url, elements };
+}
+
+/**
+ * Build the generated methods for one element
+ * @param {Object} element - { key, templated }
+ * @returns {Array<Object>} - [{ name, code }]
+ */
+function buildMethods(element) {
+  const { key, templated } = element;
+  const name = toPascalCase(key);
+  const match = ELEMENT_TYPES.find(entry => entry.pattern.test(key));
+  const paramDoc = templated ? '\n   * @param {Object} params - Values for {placeholders} in the selector' : '';
+  const paramArg = templated ? 'params = {}' : '';
+  const paramPass = templated ? ', params' : '';
+  const methods = [];
+
+  methods.push({
+    name: `get${name}`,
+    code: `  /**
+   * Get ${key} element${paramDoc}
+   */
+  get${name}(${paramArg}) {
+    return this.getElement('${key}'${paramPass});
+  }`
+  });
+
+  if (!match) {
+    return methods;
+  }
+
+  if (match.type === 'input') {
+    // "usernameInput" -> enterUsername
+    const target = toPascalCase(key.replace(match.pattern, '')) || name;
+    methods.push({
+      name: `enter${target}`,
+      code: `  /**
+   * Enter text into ${key}
+   * @param {string} value - Text to enter${paramDoc}
+   */
+  enter${target}(value${templated ? ', params = {}' : ''}) {
+    logStep('Entering ${key}');
+    this.getElement('${key}'${paramPass}).clear().type(value);
+    return this;
+  }`
+    });
+  } else if (match.type === 'button') {
+    methods.push({
+      name: `click${name}`,
+      code: `  /**
+   * Click ${key}${paramDoc}
+   */
+  click${name}(${paramArg}) {
+    logStep('Clicking ${key}');
+    this.getElement('${key}'${paramPass}).click();
+    return this;
+  }`
+    });
+  } else if (match.type === 'message') {
+    methods.push({
+      name: `verify${name}`,
+      code: `  /**
+   * Verify ${key} contains text
+   * @param {string} expectedText - Expected text${paramDoc}
+   */
+  verify${name}(expectedText${templated ? ', params = {}' : ''}) {
+    logStep('Verifying ${key}');
+    this.getElement('${key}'${paramPass}).should('contain.text', expectedText);
+    return this;
+  }`
+    });
+  }
+
+  return methods;
+}
+
+/**
+ * Names of methods defined outside the generated section
+ * @param {string} source - Page object source
+ * @returns {Set<string>} - Method names
+ */
+function findHandWrittenMethods(source) {
+  const withoutGenerated = source.replace(new RegExp(`${START_MARKER}[\\s\\S]*?${END_MARKER}`), '');
+  const names = new Set();
+  const methodPattern = /^ {2}(?:async\s+)?(\w+)\s*\([^)]*\)\s*\{/gm;
+  let match;
+  while ((match = methodPattern.exec(withoutGenerated)) !== null) {
+    names.add(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Names of the methods every page inherits from BasePage
+ * @returns {Set<string>} - Method names
+ */
+function findBasePageMethods() {
+  return findHandWrittenMethods(fs.readFileSync(config.basePagePath, 'utf8'));
+}
+
+/**
+ * Render a new page object file
+ * @param {Object} page - Page info from readLocatorFile
+ * @param {string} className - Class name
+ * @param {string} generatedSection - Generated methods, including markers
+ * @returns {string} - File contents
+ */
+function renderPageFile(page, className, generatedSection) {
+  const title = toPascalCase(page.pageName);
+  const visitMethod = page.url ? `
+
+  /**
+   * Navigate to ${page.pageName} page
+   * @param {Object} options - { waitForNetworkIdle: true or cy.waitForNetworkIdle options, beforeVisit }
+   */
+  visit(options = {}) {
+    logStep('Navigating to ${title} page');
+    this.prepareVisit(options);
+    cy.visit(this.pageUrl);
+    return this.settleAfterVisit(options);
+  }` : '';
+
+  return `/**
+ * ${title} Page Object
+ *
+ * Contains methods for interacting with the ${page.pageName} page.
+ */
+
+import BasePage from './BasePage';
+import { logStep } from '../support/utils/errorHandler';
+
+class ${className} extends BasePage {
+  constructor() {
+    super();
+    this.pageName = '${page.pageName}';${page.url ? `\n    this.pageUrl = '${page.url}';` : ''}
+  }${visitMethod}
+
+${generatedSection}
+}
+
+export default new ${className}();
+`;
+}
+
+/**
+ * Write or update the page object file
+ * @param {Object} page - Page info from readLocatorFile
+ * @returns {Object} - { filePath, className, methods, skipped, inherited, created }
+ */
+function writePageObject(page) {
+  const className = `${toPascalCase(page.pageName)}Page`;
+  const filePath = path.join(config.pagesDir, `${className}.js`);
+  const exists = fs.existsSync(filePath);
+  let source = exists ? fs.readFileSync(filePath, 'utf8') : '';
+
+  const handWritten = findHandWrittenMethods(source);
+  const basePageMethods = findBasePageMethods();
+  const allMethods = page.elements.flatMap(buildMethods);
+  const methods = allMethods.filter(method => !handWritten.has(method.name) && !basePageMethods.has(method.name));
+  const skipped = allMethods.filter(method => handWritten.has(method.name)).map(method => method.name);
+  // A generated getText() for a "text" key would replace BasePage's getText(elementKey)
+  const inherited = allMethods
+    .filter(method => !handWritten.has(method.name) && basePageMethods.has(method.name))
+    .map(method => method.name);
+
+  const generatedSection = [
+    `${START_MARKER} - from cypress/locators/${page.pageName}.yaml by scripts/generatePageObject.js`,
+    '  // Re-running the generator replaces this section; add hand-written methods outside it.',
+    '',
+    methods.map(method => method.code).join('\n\n'),
+    END_MARKER
+  ].join('\n');
+
+  if (!exists) {
+    source = renderPageFile(page, className, generatedSection);
+  } else if (source.includes(START_MARKER)) {
+    source = source.replace(new RegExp(`${START_MARKER}[\\s\\S]*?${END_MARKER}`), () => generatedSection);
+  } else {
+    // First run on a hand-written page: append the section to the class body
+    const classEnd = source.lastIndexOf('\n}');
+    if (classEnd === -1) {
+      throw new Error(`Could not find the end of the class in ${filePath}`);
+    }
+    source = `${source.slice(0, classEnd)}\n\n${generatedSection}${source.slice(classEnd)}`;
+  }
+
+  if (exists && page.url) {
+    source = source.replace(/this\.pageUrl\s*=\s*['"][^'"]*['"];/, `this.pageUrl = '${page.url}';`);
+  }
+  if (!/import\s*\{[^}]*\blogStep\b/.test(source)) {
+    source = source.replace(/(import BasePage from '\.\/BasePage';\n)/, "$1import { logStep } from '../support/utils/errorHandler';\n");
+  }
+
+  fs.writeFileSync(filePath, source);
+  return { filePath, className, methods, skipped, inherited, created: !exists };
+}
+
+/**
+ * Generate a page object from a locator file
+ * @param {string} input - Page name ("login") or path to a YAML file
+ * @returns {Object} - Result of writePageObject
+ */
+function generatePageObject(input) {
+  const filePath = /\.ya?ml$/.test(input)
+    ? path.resolve(input)
+    : path.join(config.locatorsDir, `${input}.yaml`);
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Locator file not found: ${filePath}`);
+  }
+
+  const page = readLocatorFile(filePath);
+  return writePageObject(page);
+}
+
+// Run if called directly
+if (require.main === module) {
+  const input = process.argv[2];
+  if (!input) {
+    console.error('Usage: node scripts/generatePageObject.js <pageName | path/to/locators.yaml>');
+    process.exit(1);
+  }
+
+  try {
+    const result = generatePageObject(input);
+    console.log(`${result.created ? 'Created' : 'Updated'} ${path.relative(process.cwd(), result.filePath)} (${result.methods.length} generated methods)`);
+    if (result.skipped.length > 0) {
+      console.log(`Skipped (hand-written): ${result.skipped.join(', ')}`);
+    }
+    if (result.inherited.length > 0) {
+      console.log(`Skipped (BasePage method of the same name, rename the locator key to generate it): ${result.inherited.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { generatePageObject };
@@ -0,0 +1,570 @@
+/**
+ * Locator Linter
+ *
+ * Static checks for the YAML locator repository, so broken locators
+ * fail in seconds instead of halfway through a browser run.
+ *
+ * Usage:
+ *   npm run locators:lint
+ *   node scripts/lintLocators.js
+ *
+ * Checks:
+ *   - YAML syntax, CSS / XPath syntax and the built-in selector strategies
+ *   - The same selector defined under different keys of one file (or group)
+ *   - Locator groups without a `root` that are addressed directly
+ *   - Top-level keys that don't follow the `${pageName}Page` convention
+ *     expected by getLocator
+ *   - `extends` targets that don't exist or form a cycle
+ *   - `overrides` entries for keys the page doesn't define
+ *   - `routes` entries without a URL pattern or with an unknown method
+ *   - `fallbackGrace` entries that aren't a number of ms or target keys
+ *     the page doesn't define
+ *   - Locator keys referenced from page objects, specs and support files
+ *     that no locator file defines
+ *
+ * Exits with code 1 and prints file:line:column for every problem found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseDocument, LineCounter, isMap, isSeq, isScalar } = require('yaml');
+const cssWhat = require('css-what');
+const xpath = require('xpath');
+const { parseSelector, parseRole } = require('../cypress/support/utils/selectorEngine');
+
+// Configuration
+const config = {
+  rootDir: path.join(__dirname, '..'),
+  locatorsDir: path.join(__dirname, '../cypress/locators'),
+  sourceDirs: [
+    path.join(__dirname, '../cypress/pages'),
+    path.join(__dirname, '../cypress/e2e'),
+    path.join(__dirname, '../cypress/support')
+  ],
+  // Page keys that hold metadata rather than selectors
+  nonSelectorKeys: ['url', 'routes', 'fallbackGrace']
+};
+
+// Methods a `routes` entry may declare
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// BasePage methods whose first argument is a locator key
+const PAGE_METHODS = [
+  'getElement', 'getLocator', 'waitForElement', 'click', 'type', 'getText',
+  'isVisible', 'exists', 'scrollTo', 'select', 'check', 'uncheck', 'clear',
+  'getAttribute', 'verifyText', 'verifyExactText', 'verifyValue',
+  'verifyEnabled', 'verifyDisabled'
+];
+
+// Commands and helpers called as (pageName, elementKey, ...)
+const LOCATOR_CALLS = [
+  'getByLocator', 'waitForLocator', 'clickByLocator', 'typeByLocator',
+  'getElement', 'getLocator', 'waitForElement', 'elementExists'
+];
+
+const problems = [];
+
+/**
+ * Record a problem
+ * @param {string} file - Absolute file path
+ * @param {Object} position - { line, col } (1-based)
+ * @param {string} message - Problem description
+ */
+function report(file, position, message) {
+  problems.push({
+    file: path.relative(config.rootDir, file),
+    line: position.line,
+    col: position.col,
+    message
+  });
+}
+
+/**
+ * Position of a YAML node
+ * @param {Object} locatorFile - Parsed locator file
+ * @param {Object} node - YAML node
+ * @returns {Object} - { line, col }
+ */
+function positionOf(locatorFile, node) {
+  if (!node || !node.range) {
+    return { line: 1, col: 1 };
+  }
+  return locatorFile.lineCounter.linePos(node.range[0]);
+}
+
+/**
+ * Validate the syntax of a single selector
+ * @param {string} selector - Selector string
+ * @returns {string|null} - Error message, or null when valid
+ */
+function checkSelectorSyntax(selector) {
+  // Placeholders are filled at runtime; validate with a neutral value
+  const { strategy, value } = parseSelector(selector.replace(/\{(\w+)\}/g, 'placeholder'));
+
+  if (!value.trim()) {
+    return `Empty ${strategy}= selector`;
+  }
+
+  try {
+    if (strategy === 'css') {
+      cssWhat.parse(value);
+    } else if (strategy === 'xpath') {
+      xpath.parse(value);
+    } else if (strategy === 'role') {
+      parseRole(value);
+    }
+  } catch (error) {
+    const label = strategy === 'css' ? 'CSS selector' : `${strategy}= selector`;
+    return `Invalid ${label} "${selector}": ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a locator file and validate its structure and selectors
+ * @param {string} file - Absolute path of the YAML file
+ * @returns {Object} - { pageName, file, lineCounter, keys, parents, extendsNode, overrides, graceKeys }
+ */
+function loadLocatorFile(file) {
+  const pageName = path.basename(file, path.extname(file));
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(fs.readFileSync(file, 'utf8'), { lineCounter });
+  const locatorFile = { pageName, file, lineCounter, keys: new Set(), parents: [], extendsNode: null, overrides: [], graceKeys: [] };
+
+  if (doc.errors.length > 0) {
+    doc.errors.forEach((error) => {
+      const [line, col] = error.linePos ? [error.linePos[0].line, error.linePos[0].col] : [1, 1];
+      report(file, { line, col }, `YAML syntax error: ${error.message.split('\n')[0]}`);
+    });
+    return locatorFile;
+  }
+
+  if (!isMap(doc.contents)) {
+    report(file, { line: 1, col: 1 }, 'Locator file must be a mapping');
+    return locatorFile;
+  }
+
+  let section = null;
+  doc.contents.items.forEach((pair) => {
+    const key = pair.key.value;
+
+    if (key === 'extends') {
+      locatorFile.extendsNode = pair.value;
+      const parents = isSeq(pair.value) ? pair.value.items : [pair.value];
+      parents.forEach((parent) => {
+        if (!isScalar(parent) || typeof parent.value !== 'string') {
+          report(file, positionOf(locatorFile, parent), '"extends" must be a file name or a list of file names');
+        } else {
+          locatorFile.parents.push({ name: parent.value, node: parent });
+        }
+      });
+    } else if (key === `${pageName}Page` || key === pageName) {
+      if (section) {
+        report(file, positionOf(locatorFile, pair.key), `Both "${pageName}Page" and "${pageName}" are defined; getLocator only reads the first`);
+      }
+      section = section || pair.value;
+    } else {
+      report(file, positionOf(locatorFile, pair.key), `Top-level key "${key}" does not match the "${pageName}Page" convention expected by getLocator`);
+    }
+  });
+
+  if (!section) {
+    report(file, { line: 1, col: 1 }, `Missing top-level "${pageName}Page" key`);
+    return locatorFile;
+  }
+
+  if (!isMap(section)) {
+    report(file, positionOf(locatorFile, section), `"${pageName}Page" must be a mapping of element keys to selectors`);
+    return locatorFile;
+  }
+
+  checkLocatorEntries(locatorFile, section, '');
+
+  return locatorFile;
+}
+
+/**
+ * Validate the entries of a page section or nested group
+ * Group keys are recorded as dotted paths ("header.logo").
+ * @param {Object} locatorFile - Parsed locator file
+ * @param {Object} group - YAML map of element keys
+ * @param {string} prefix - Dotted path of the group ('' for the page)
+ * @param {Set<string>} keys - Collects the keys found (the page's keys by default)
+ */
+function checkLocatorEntries(locatorFile, group, prefix, keys = locatorFile.keys) {
+  const { file, pageName } = locatorFile;
+  const seenSelectors = new Map();
+
+  group.items.forEach((pair) => {
+    const key = `${prefix}${pair.key.value}`;
+
+    if (!prefix && config.nonSelectorKeys.includes(key)) {
+      if (key === 'routes') {
+        checkRoutes(locatorFile, pair.value);
+      } else if (key === 'fallbackGrace') {
+        checkFallbackGrace(locatorFile, pair.value);
+      }
+      keys.add(key);
+      return;
+    }
+
+    if (!prefix && key === 'overrides' && keys === locatorFile.keys) {
+      checkOverrides(locatorFile, pair.value);
+      return;
+    }
+
+    if (isMap(pair.value)) {
+      if (pair.value.has('root')) {
+        keys.add(key);
+      }
+      checkLocatorEntries(locatorFile, pair.value, `${key}.`, keys);
+      return;
+    }
+
+    // A group's root is addressed through the group key itself
+    if (!(prefix && pair.key.value === 'root')) {
+      keys.add(key);
+    }
+
+    const candidates = isSeq(pair.value) ? pair.value.items : [pair.value];
+    if (isSeq(pair.value) && candidates.length === 0) {
+      report(file, positionOf(locatorFile, pair.value), `Empty fallback chain for ${pageName}.${key}`);
+    }
+
+    candidates.forEach((node) => {
+      const position = positionOf(locatorFile, node);
+      if (!isScalar(node) || typeof node.value !== 'string' || !node.value) {
+        report(file, position, `${pageName}.${key} must be a selector or a list of selectors`);
+        return;
+      }
+
+      const syntaxError = checkSelectorSyntax(node.value);
+      if (syntaxError) {
+        report(file, position, `${syntaxError} (${pageName}.${key})`);
+      }
+
+      const firstKey = seenSelectors.get(node.value);
+      if (firstKey && firstKey !== key) {
+        report(file, position, `Duplicate selector "${node.value}" under "${firstKey}" and "${key}"`);
+      } else if (!firstKey) {
+        seenSelectors.set(node.value, key);
+      }
+    });
+  });
+}
+
+/**
+ * Validate an `overrides` section
+ * Each override (environment or breakpoint name) maps element keys to
+ * replacement selectors; the keys are checked once all files are loaded.
+ * @param {Object} locatorFile - Parsed locator file
+ * @param {Object} overrides - YAML node of the section
+ */
+function checkOverrides(locatorFile, overrides) {
+  const { file, pageName } = locatorFile;
+
+  if (!isMap(overrides)) {
+    report(file, positionOf(locatorFile, overrides), `"overrides" in ${pageName}.yaml must map environment or breakpoint names to locators`);
+    return;
+  }
+
+  overrides.items.forEach((pair) => {
+    if (!isMap(pair.value)) {
+      report(file, positionOf(locatorFile, pair.key), `Override "${pair.key.value}" must be a mapping of element keys to selectors`);
+      return;
+    }
+
+    const keys = new Set();
+    checkLocatorEntries(locatorFile, pair.value, '', keys);
+    keys.forEach((key) => {
+      locatorFile.overrides.push({ name: pair.key.value, key, node: pair.key });
+    });
+  });
+}
+
+/**
+ * Validate a `routes` section
+ * Each alias maps to "METHOD pattern", a bare pattern, or { method, url }.
+ * @param {Object} locatorFile - Parsed locator file
+ * @param {Object} routes - YAML node of the section
+ */
+function checkRoutes(locatorFile, routes) {
+  const { file, pageName } = locatorFile;
+
+  if (!isMap(routes)) {
+    report(file, positionOf(locatorFile, routes), `"routes" in ${pageName}.yaml must map aliases to routes`);
+    return;
+  }
+
+  routes.items.forEach((pair) => {
+    const alias = `${pageName}.routes.${pair.key.value}`;
+    let method = null;
+    let url = null;
+
+    if (isScalar(pair.value) && typeof pair.value.value === 'string') {
+      const parts = pair.value.value.trim().split(/\s+/);
+      [method, url] = parts.length === 2 ? parts : [null, parts.join(' ')];
+    } else if (isMap(pair.value)) {
+      method = pair.value.get('method');
+      url = pair.value.get('url');
+    } else {
+      report(file, positionOf(locatorFile, pair.value), `${alias} must be "METHOD pattern" or { method, url }`);
+      return;
+    }
+
+    if (typeof url !== 'string' || !url || /\s/.test(url)) {
+      report(file, positionOf(locatorFile, pair.value), `${alias} needs a URL pattern (e.g. "GET **/api/items*")`);
+    }
+    if (method !== null && method !== undefined && !HTTP_METHODS.includes(String(method).toUpperCase())) {
+      report(file, positionOf(locatorFile, pair.value), `${alias} has unknown method "${method}"`);
+    }
+  });
+}
+
+/**
+ * Validate a `fallbackGrace` section
+ * Each element key maps to the ms its primary selector may take to appear;
+ * the keys are checked once all files are loaded.
+ * @param {Object} locatorFile - Parsed locator file
+ * @param {Object} fallbackGrace - YAML node of the section
+ */
+function checkFallbackGrace(locatorFile, fallbackGrace) {
+  const { file, pageName } = locatorFile;
+
+  if (!isMap(fallbackGrace)) {
+    report(file, positionOf(locatorFile, fallbackGrace), `"fallbackGrace" in ${pageName}.yaml must map element keys to milliseconds`);
+    return;
+  }
+
+  fallbackGrace.items.forEach((pair) => {
+    const value = isScalar(pair.value) ? pair.value.value : null;
+    if (typeof value !== 'number' || value < 0) {
+      report(file, positionOf(locatorFile, pair.value || pair.key), `${pageName}.fallbackGrace.${pair.key.value} must be a number of milliseconds`);
+    }
+    locatorFile.graceKeys.push({ key: String(pair.key.value), node: pair.key });
+  });
+}
+
+/**
+ * Check that override and fallbackGrace keys exist in the page, directly or through extends
+ * @param {Object} locatorFiles - Parsed files keyed by page name
+ */
+function checkOverrideKeys(locatorFiles) {
+  Object.values(locatorFiles).forEach((locatorFile) => {
+    locatorFile.overrides.forEach((override) => {
+      if (!resolvesKey(locatorFiles, locatorFile.pageName, override.key)) {
+        report(locatorFile.file, positionOf(locatorFile, override.node), `Override "${override.name}" targets undefined locator: ${locatorFile.pageName}.${override.key}`);
+      }
+    });
+    locatorFile.graceKeys.forEach((grace) => {
+      if (!resolvesKey(locatorFiles, locatorFile.pageName, grace.key)) {
+        report(locatorFile.file, positionOf(locatorFile, grace.node), `"fallbackGrace" targets undefined locator: ${locatorFile.pageName}.${grace.key}`);
+      }
+    });
+  });
+}
+
+/**
+ * Validate extends targets and detect inheritance cycles
+ * @param {Object} locatorFiles - Parsed files keyed by page name
+ */
+function checkInheritance(locatorFiles) {
+  Object.values(locatorFiles).forEach((locatorFile) => {
+    locatorFile.parents.forEach((parent) => {
+      if (!locatorFiles[parent.name]) {
+        report(locatorFile.file, positionOf(locatorFile, parent.node), `"extends" target not found: ${parent.name}.yaml`);
+      }
+    });
+
+    const visit = (pageName, trail) => {
+      if (trail.includes(pageName)) {
+        if (pageName === locatorFile.pageName) {
+          report(locatorFile.file, positionOf(locatorFile, locatorFile.extendsNode), `Circular locator inheritance: ${[...trail, pageName].join(' -> ')}`);
+        }
+        return;
+      }
+      const current = locatorFiles[pageName];
+      if (current) {
+        current.parents.forEach(parent => visit(parent.name, [...trail, pageName]));
+      }
+    };
+    visit(locatorFile.pageName, []);
+  });
+}
+
+/**
+ * Check whether a page defines a key, directly or through extends
+ * @param {Object} locatorFiles - Parsed files keyed by page name
+ * @param {string} pageName - Page to search
+ * @param {string} elementKey - Locator key
+ * @param {Array<string>} visited - Pages already searched
+ * @returns {boolean} - True if the key resolves
+ */
+function resolvesKey(locatorFiles, pageName, elementKey, visited = []) {
+  const locatorFile = locatorFiles[pageName];
+  if (!locatorFile || visited.includes(pageName)) {
+    return false;
+  }
+  if (locatorFile.keys.has(elementKey)) {
+    return true;
+  }
+  return locatorFile.parents.some(parent => resolvesKey(locatorFiles, parent.name, elementKey, [...visited, pageName]));
+}
+
+/**
+ * List JavaScript files under a directory
+ * @param {string} dir - Directory to walk
+ * @returns {Array<string>} - Absolute file paths
+ */
+function listSourceFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).flatMap((entry) => {
+    const fullPath = path.join(dir, entry);
+    if (fs.statSync(fullPath).isDirectory()) {
+      return listSourceFiles(fullPath);
+    }
+    return entry.endsWith('.js') ? [fullPath] : [];
+  });
+}
+
+/**
+ * Read the pageName a page object file assigns in its constructor
+ * @param {string} file - Page object file
+ * @returns {string|null} - Page name
+ */
+function readPageName(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const match = fs.readFileSync(file, 'utf8').match(/this\.pageName\s*=\s*['"](\w+)['"]/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Find locator keys referenced from source files
+ * @param {string} file - Source file
+ * @returns {Array<Object>} - [{ pageName, elementKey, line, col }]
+ */
+function findReferences(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const references = [];
+  const methods = PAGE_METHODS.join('|');
+
+  // Page objects imported into the file, mapped to their pageName
+  const pageObjects = {};
+  const importPattern = /import\s+(\w+)\s+from\s+['"](\.[^'"]*pages\/\w+)['"]/g;
+  let match;
+  while ((match = importPattern.exec(source)) !== null) {
+    const pageName = readPageName(path.resolve(path.dirname(file), `${match[2]}.js`));
+    if (pageName) {
+      pageObjects[match[1]] = pageName;
+    }
+  }
+
+  const ownPageName = readPageName(file);
+
+  source.split('\n').forEach((text, index) => {
+    const add = (pageName, elementKey, col) => {
+      references.push({ pageName, elementKey, line: index + 1, col: col + 1 });
+    };
+
+    const callPattern = new RegExp(`\\b(?:${LOCATOR_CALLS.join('|')})\\(\\s*['"](\\w+)['"]\\s*,\\s*['"]([\\w.]+)['"]`, 'g');
+    while ((match = callPattern.exec(text)) !== null) {
+      add(match[1], match[2], match.index);
+    }
+
+    if (ownPageName) {
+      const thisPattern = new RegExp(`\\bthis\\.(?:${methods})\\(\\s*['"]([\\w.]+)['"]`, 'g');
+      while ((match = thisPattern.exec(text)) !== null) {
+        add(ownPageName, match[1], match.index);
+      }
+    }
+
+    Object.entries(pageObjects).forEach(([identifier, pageName]) => {
+      const objectPattern = new RegExp(`\\b${identifier}\\.(?:${methods})\\(\\s*['"]([\\w.]+)['"]`, 'g');
+      while ((match = objectPattern.exec(text)) !== null) {
+        add(pageName, match[1], match.index);
+      }
+    });
+  });
+
+  return references;
+}
+
+/**
+ * Check that every referenced locator key is defined
+ * @param {Object} locatorFiles - Parsed files keyed by page name
+ */
+function checkReferences(locatorFiles) {
+  config.sourceDirs.flatMap(listSourceFiles).forEach((file) => {
+    findReferences(file).forEach((reference) => {
+      const position = { line: reference.line, col: reference.col };
+      if (!locatorFiles[reference.pageName]) {
+        report(file, position, `Locator file not found for page "${reference.pageName}" (${reference.pageName}.${reference.elementKey})`);
+      } else if (!resolvesKey(locatorFiles, reference.pageName, reference.elementKey)) {
+        report(file, position, `Locator not defined: ${reference.pageName}.${reference.elementKey}`);
+      }
+    });
+  });
+}
+
+/**
+ * Print problems grouped by file
+ */
+function printProblems() {
+  const byFile = {};
+  problems.forEach((problem) => {
+    byFile[problem.file] = byFile[problem.file] || [];
+    byFile[problem.file].push(problem);
+  });
+
+  Object.entries(byFile).forEach(([file, fileProblems]) => {
+    console.error(`\n${file}`);
+    fileProblems
+      .sort((a, b) => a.line - b.line || a.col - b.col)
+      .forEach((problem) => {
+        console.error(`  ${problem.line}:${problem.col}  error  ${problem.message}`);
+      });
+  });
+
+  console.error(`\n✖ ${problems.length} locator problem${problems.length === 1 ? '' : 's'}\n`);
+}
+
+/**
+ * Lint all locator files
+ * @returns {Array<Object>} - Problems found
+ */
+function lintLocators() {
+  const files = fs.readdirSync(config.locatorsDir)
+    .filter(file => /\.ya?ml$/.test(file))
+    .map(file => path.join(config.locatorsDir, file));
+
+  const locatorFiles = {};
+  files.forEach((file) => {
+    const locatorFile = loadLocatorFile(file);
+    locatorFiles[locatorFile.pageName] = locatorFile;
+  });
+
+  checkInheritance(locatorFiles);
+  checkOverrideKeys(locatorFiles);
+  checkReferences(locatorFiles);
+
+  return problems;
+}
+
+// Run if called directly
+if (require.main === module) {
+  lintLocators();
+
+  if (problems.length > 0) {
+    printProblems();
+    process.exit(1);
+  }
+
+  console.log('✔ Locator files OK');
+}
+
+module.exports = { lintLocators };